@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+'use strict';
+
+const { main } = require('../index.js');
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error('[markdown-pdf-m-cli] ' + (error && error.message ? error.message : error));
+  if (error && error.stack) {
+    console.error(error.stack);
+  }
+  process.exitCode = 1;
+});
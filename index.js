@@ -1,18 +1,24 @@
-#!/usr/bin/env node
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
 const os = require('os');
 const path = require('path');
 const url = require('url');
-const { pathToFileURL } = require('url');
+const { fileURLToPath, pathToFileURL } = require('url');
 
 const cheerio = require('cheerio');
 const grayMatter = require('gray-matter');
 const highlightJs = require('highlight.js');
+const katex = require('katex');
+const yaml = require('js-yaml');
 const markdownIt = require('markdown-it');
 const mkdirp = require('mkdirp');
+const glob = require('glob');
+const minimatch = require('minimatch');
 const mustache = require('mustache');
+const { PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFNumber, PDFRef, PDFString } = require('pdf-lib');
 const rimraf = require('rimraf');
 
 const {
@@ -20,12 +26,209 @@ const {
   Browser,
   detectBrowserPlatform,
   resolveBuildId,
-  getInstalledBrowsers
+  getInstalledBrowsers,
+  uninstall: uninstallBrowser
 } = require('@puppeteer/browsers');
 
 const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config', 'defaults.json');
-const USER_CONFIG_CANDIDATE = 'markdown-pdf.config.json';
+const DEFAULT_TEMPLATE_FILE = path.join(__dirname, 'template', 'template.html');
+const TEMPLATE_ENTRY_CANDIDATES = ['template.html', 'template.mustache', 'index.html'];
+// Looked up in the working directory and its parents, then `markdownPdf` in package.json.
+const CONFIG_FILE_CANDIDATES = [
+  'markdown-pdf.config.json',
+  'markdown-pdf.config.yml',
+  'markdown-pdf.config.yaml',
+  'markdown-pdf.config.js',
+  'markdown-pdf.config.cjs'
+];
 const SUPPORTED_TYPES = ['html', 'pdf', 'png', 'jpeg'];
+const DEFAULT_INCLUDE_PATTERNS = ['**/*.md', '**/*.markdown'];
+const DEFAULT_EXCLUDE_PATTERNS = ['**/node_modules/**'];
+// `:[label](file.md)`. The capture keeps the parentheses, which markdown-it-include requires.
+const INCLUDE_RE = /:\[[^\]]*\](\([^)]+\.[^)]+\))/i;
+const WATCH_DEBOUNCE_MS = 300;
+const STDIO_PATH = '-';
+const COMMANDS = ['book', 'browsers', 'serve'];
+const BROWSER_ACTIONS = ['list', 'install', 'verify', 'prune'];
+const BROWSER_TEST_PAGE = '<!DOCTYPE html><html><body><h1>markdown-pdf-m</h1><p>Browser check</p></body></html>';
+const NETWORK_POLICIES = ['any', 'allowlist', 'offline'];
+const RAW_HTML_MODES = ['allow', 'sanitize', 'escape'];
+// Raw HTML kept by rawHtml: "sanitize". Elements whose content is dropped with them come next.
+const SANITIZE_ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'font', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby',
+  's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+]);
+const SANITIZE_DROPPED_ELEMENTS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template',
+  'textarea', 'select', 'svg', 'math', 'title'
+];
+const SANITIZE_ALLOWED_ATTRIBUTES = new Set([
+  'id', 'class', 'title', 'lang', 'dir', 'style', 'align', 'valign', 'width', 'height', 'colspan', 'rowspan',
+  'alt', 'src', 'href', 'name', 'start', 'type', 'reversed', 'open', 'datetime', 'cite', 'border',
+  'cellpadding', 'cellspacing', 'span', 'abbr', 'scope', 'headers', 'color', 'size', 'face'
+]);
+const SANITIZE_URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const BUILD_CACHE_FILENAME = '.markdown-pdf-m-cache.json';
+const BUILD_CACHE_VERSION = 1;
+const DEFAULT_BUILD_CACHE_FILE = path.join(os.homedir(), '.cache', 'markdown-pdf-m', 'builds.json');
+const DEFAULT_SERVER_PORT = 8080;
+const DEFAULT_SERVER_BODY_LIMIT = 10 * 1024 * 1024;
+const DEFAULT_SERVER_TIMEOUT = 60000;
+const DEFAULT_SERVER_NETWORK = 'offline';
+const SERVER_CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+// Settings a render request cannot override: they load code, reach other hosts or reconfigure the server.
+const SERVER_LOCKED_SETTINGS = [
+  'http', 'markdownPdf.hooks', 'markdownPdf.plugins', 'markdownPdf.executablePath', 'markdownPdf.browser',
+  'markdownPdf.server', 'markdownPdf.security', 'markdownPdf.concurrency', 'markdownPdf.debug', 'markdownPdf.outputDirectory',
+  'markdownPdf.mermaidServer', 'markdownPdf.mermaid.path', 'markdownPdf.plantumlServer', 'markdownPdf.plantuml.cacheDir'
+];
+// Front matter keys read while rendering markdown.
+const FRONT_MATTER_RENDER_KEYS = ['breaks', 'emoji', 'math', 'plugins', 'plantumlOpenMarker', 'plantumlCloseMarker', 'tocLevels', 'tocPageNumbers', 'template'];
+// Front matter keys that override the markdownPdf settings of the same name for one document.
+const FRONT_MATTER_PAGE_KEYS = [
+  'type', 'orientation', 'format', 'width', 'height', 'margin', 'scale',
+  'headerTemplate', 'footerTemplate', 'displayHeaderFooter', 'printBackground', 'pageRanges',
+  'styles', 'highlight', 'highlightStyle', 'outline', 'outlineLevels',
+  'quality', 'clip', 'omitBackground', 'selfContained'
+];
+// Descriptive keys that are accepted without a warning.
+const FRONT_MATTER_METADATA_KEYS = ['title', 'subtitle', 'author', 'date', 'description', 'keywords', 'tags', 'lang', 'version'];
+const BOOK_MANIFEST_CANDIDATES = ['book.json', 'book.yml', 'book.yaml'];
+const STDIN_FILENAME = 'stdin.md';
+const TOC_PLACEHOLDER_RE = /^(?:\[\[toc\]\]|\$\{toc\})$/i;
+const DEFAULT_TOC_LEVELS = [1, 3];
+const TOC_PRINT_PASSES = 3;
+const DEFAULT_OUTLINE_LEVELS = [1, 6];
+const HOOK_NAMES = ['beforeMarkdown', 'extendMarkdownIt', 'afterHtml', 'beforePrint'];
+const MARKDOWN_LINK_RE = /\.(md|markdown)$/i;
+const MERGED_LINK_PREFIX = 'markdown-pdf-link-';
+const DEFAULT_ASSET_TIMEOUT = 30000;
+const MIME_TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.css': 'text/css',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+const DEFAULT_MERMAID_TIMEOUT = 30000;
+const DEFAULT_RENDER_TIMEOUT = 300000;
+const WAIT_UNTIL_EVENTS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const DEFAULT_LAUNCH_RETRIES = 1;
+const LAUNCH_RETRY_DELAY = 1000;
+const BROWSER_CLOSE_TIMEOUT = 5000;
+const CLEANUP_TIMEOUT = 5000;
+const DEFAULT_PLANTUML_TIMEOUT = 30000;
+const DEFAULT_PLANTUML_CACHE_DIR = path.join(os.homedir(), '.cache', 'markdown-pdf-m', 'plantuml');
+const MERMAID_BLOCK_RE = /<div class="mermaid"/;
+// Runs in the page: renders every diagram one by one and records failures instead of
+// leaving the source text behind. Resolves window.__markdownPdfMermaid with the errors.
+const MERMAID_RENDER_SCRIPT = `window.__markdownPdfMermaid = new Promise(function (resolve) {
+  document.addEventListener('DOMContentLoaded', function () {
+    var blocks = Array.prototype.slice.call(document.querySelectorAll('.mermaid:not([data-processed])'));
+    if (typeof mermaid === 'undefined') {
+      resolve(blocks.length > 0 ? [{ index: 1, message: 'the Mermaid runtime could not be loaded' }] : []);
+      return;
+    }
+    mermaid.initialize(__MERMAID_OPTIONS__);
+    var errors = [];
+    blocks.reduce(function (chain, element, index) {
+      return chain.then(function () {
+        return Promise.resolve(mermaid.render('mermaid-diagram-' + index, element.textContent)).then(function (result) {
+          element.innerHTML = typeof result === 'string' ? result : result.svg;
+          element.setAttribute('data-processed', 'true');
+        }).catch(function (error) {
+          errors.push({ index: index + 1, line: element.getAttribute('data-source-line'), message: error && error.message ? error.message : String(error) });
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      resolve(errors);
+    });
+  });
+});`;
+const CSS_PIXELS_PER_UNIT = { px: 1, in: 96, cm: 37.8, mm: 3.78 };
+// Paper sizes in inches, matching Puppeteer's named PDF formats.
+const PAPER_FORMATS = {
+  letter: [8.5, 11],
+  legal: [8.5, 14],
+  tabloid: [11, 17],
+  ledger: [17, 11],
+  a0: [33.1102, 46.811],
+  a1: [23.3858, 33.1102],
+  a2: [16.5354, 23.3858],
+  a3: [11.6929, 16.5354],
+  a4: [8.2677, 11.6929],
+  a5: [5.8268, 8.2677],
+  a6: [4.1339, 5.8268]
+};
+// Checks on top of the type of the default value; keys listed here are known even
+// without a default. `open` objects take arbitrary keys, `list` strings are comma separated.
+const CONFIG_RULES = {
+  markdown: { types: ['object'] },
+  'markdown.styles': { types: ['array'] },
+  'markdownPdf.type': { types: ['string', 'array'], values: [...SUPPORTED_TYPES, 'all'], list: true },
+  'markdownPdf.format': { types: ['string'], values: Object.keys(PAPER_FORMATS), ignoreCase: true },
+  'markdownPdf.orientation': { values: ['portrait', 'landscape'] },
+  'markdownPdf.scale': { types: ['number'], min: 0.1, max: 2 },
+  'markdownPdf.quality': { types: ['number'], min: 0, max: 100 },
+  'markdownPdf.concurrency': { types: ['number'], min: 1 },
+  'markdownPdf.width': { types: ['string', 'number'] },
+  'markdownPdf.height': { types: ['string', 'number'] },
+  'markdownPdf.margin': { types: ['object', 'string', 'number'] },
+  'markdownPdf.tocLevels': { types: ['string', 'number', 'array'] },
+  'markdownPdf.outlineLevels': { types: ['string', 'number', 'array'] },
+  'markdownPdf.debug': { types: ['boolean', 'string'] },
+  'markdownPdf.browser.puppeteerVariant': { types: ['string'] },
+  'markdownPdf.browser.runtime': { types: ['string'] },
+  'markdownPdf.browser.buildId': { types: ['string'] },
+  'markdownPdf.browser.revision': { types: ['string', 'number'] },
+  'markdownPdf.browser.cacheDirectory': { types: ['string'] },
+  'markdownPdf.browser.offline': { types: ['boolean'] },
+  'markdownPdf.browser.sandbox': { types: ['boolean'] },
+  'markdownPdf.security.network': { values: NETWORK_POLICIES },
+  'markdownPdf.security.allowedHosts': { types: ['array'] },
+  'markdownPdf.security.confineFiles': { types: ['boolean'] },
+  'markdownPdf.security.rawHtml': { values: RAW_HTML_MODES },
+  'markdownPdf.browser.launchRetries': { types: ['number'], min: 0 },
+  'markdownPdf.render.timeout': { types: ['number'], min: 0 },
+  'markdownPdf.render.waitUntil': { values: WAIT_UNTIL_EVENTS },
+  'markdownPdf.render.waitForSelector': { types: ['string'] },
+  'markdownPdf.render.waitForFunction': { types: ['string'] },
+  'markdownPdf.render.delay': { types: ['number'], min: 0 },
+  'markdownPdf.buildCache.enable': { types: ['boolean'] },
+  'markdownPdf.buildCache.file': { types: ['string'] },
+  'markdownPdf.server.host': { types: ['string'] },
+  'markdownPdf.server.port': { types: ['number'], min: 0, max: 65535 },
+  'markdownPdf.server.maxBodySize': { types: ['number'], min: 1 },
+  'markdownPdf.server.timeout': { types: ['number'], min: 0 },
+  'markdownPdf.server.concurrency': { types: ['number'], min: 1 },
+  'markdownPdf.server.allowedDirs': { types: ['array'] },
+  'markdownPdf.mermaid.source': { values: ['auto', 'local', 'server'] },
+  'markdownPdf.mermaid.path': { types: ['string'] },
+  'markdownPdf.mermaid.config': { types: ['object'], open: true },
+  'markdownPdf.plantuml.format': { values: ['svg', 'png'] },
+  'markdownPdf.math.macros': { types: ['object'], open: true },
+  'markdownPdf.plugins': { types: ['array'] }
+};
 const BROWSER_CACHE_DIR = path.join(os.homedir(), '.cache', 'markdown-pdf-m-cli');
 const DEFAULT_BROWSER_NAME = 'chrome';
 const DEFAULT_PUPPETEER_VARIANT = 'modern';
@@ -57,7 +260,15 @@ const PUPPETEER_VARIANTS = {
 };
 
 let INSTALL_CHECK = false;
+let STATUS_TO_STDERR = false;
 const cachedExecutables = new Map();
+let cachedKatexCss = null;
+// Browsers, the watcher and the render server to shut down when the CLI is interrupted.
+const cleanupTasks = new Set();
+let interruptsHandled = false;
+// Set by watch and serve: being stopped is how they end, so it is not a failure.
+let stopIsShutdown = false;
+const loadedHooks = new Map();
 
 function getBrowserCacheDir(customDir) {
   if (typeof customDir === 'string' && customDir.trim().length > 0) {
@@ -179,6 +390,7 @@ function normalizeBrowserOptions(markdownPdfConfig, puppeteerVariant) {
     requestedTag,
     cacheDir,
     executablePath,
+    offline: browserConfig.offline === true,
     displayName: (nameInput || DEFAULT_BROWSER_NAME).toLowerCase(),
     originalTag: requestedTag,
     variantId: puppeteerVariant?.id || DEFAULT_PUPPETEER_VARIANT,
@@ -225,18 +437,141 @@ function formatBrowserLabel(browserOptions, buildId, alias) {
   return `${browserOptions.browser} ${buildId}`;
 }
 
-(async () => {
-  await main().catch((error) => {
-    console.error('[markdown-pdf-m-cli] ' + (error && error.message ? error.message : error));
-    if (error && error.stack) {
-      console.error(error.stack);
+/**
+ * Converts a markdown file (`input`) or string (`markdown`) into every requested type.
+ * Resolves with one `{ type, path, buffer }` entry per type; files are only written
+ * when `output` is given or `write` is true.
+ */
+async function convert(options) {
+  const opts = options || {};
+  if (!opts.input && typeof opts.markdown !== 'string') {
+    throw new Error('convert() requires either "input" or "markdown".');
+  }
+
+  const config = resolveApiConfig(opts.config);
+  const types = resolveTypes(opts.types || opts.type, config?.markdownPdf?.type);
+
+  let inputPath;
+  let markdown;
+  if (opts.input) {
+    inputPath = path.resolve(process.cwd(), opts.input);
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Input file not found: ${inputPath}`);
     }
-    process.exitCode = 1;
-  });
-})();
+    markdown = typeof opts.markdown === 'string' ? opts.markdown : fs.readFileSync(inputPath, 'utf-8');
+  } else {
+    inputPath = resolveVirtualInputPath(opts.baseDir, opts.filename);
+    markdown = opts.markdown;
+  }
+
+  setProxy(config);
+
+  const frontMatter = grayMatter(markdown).data;
+  const documentConfig = resolveDocumentConfig(inputPath, frontMatter, config);
+  const documentTypes = opts.types || opts.type || frontMatter.type === undefined
+    ? types
+    : resolveTypes(frontMatter.type, types);
+  if (documentConfig.markdownPdf?.strict) {
+    assertValid(validateDocument(inputPath, markdown, documentConfig), path.basename(inputPath));
+  }
+
+  const write = Boolean(opts.output) || opts.write === true;
+  const session = opts.session || createBrowserSession(config);
+  const outputs = [];
+  try {
+    for (const type of documentTypes) {
+      const content = convertMarkdownToHtml(inputPath, type, markdown, documentConfig);
+      const html = makeHtml(content, inputPath, documentConfig, { frontMatter, type });
+      const targetPath = write ? resolveOutputPath(inputPath, type, opts.output, documentConfig) : null;
+      if (targetPath) {
+        ensureDirSync(path.dirname(targetPath));
+      }
+      const buffer = await renderDocument(html, type, documentConfig, { inputPath, targetPath, session });
+      outputs.push({ type, path: targetPath, buffer });
+    }
+  } finally {
+    if (!opts.session) {
+      await session.close();
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Renders markdown to a complete HTML document (or only the body with `fragment: true`).
+ * `input` or `baseDir`/`filename` decide how relative images, includes and styles resolve.
+ */
+function renderHtml(markdown, options) {
+  const opts = options || {};
+  const config = resolveApiConfig(opts.config);
+  const inputPath = opts.input
+    ? path.resolve(process.cwd(), opts.input)
+    : resolveVirtualInputPath(opts.baseDir, opts.filename);
+  const frontMatter = grayMatter(markdown).data;
+  const documentConfig = resolveDocumentConfig(inputPath, frontMatter, config);
+  const type = opts.type || 'html';
+  const content = convertMarkdownToHtml(inputPath, type, markdown, documentConfig);
+  return opts.fragment ? content : makeHtml(content, inputPath, documentConfig, { frontMatter, type });
+}
+
+/**
+ * Builds a book manifest (see loadBookManifest) into every requested type.
+ * Resolves like convert(); files are written when `output` or `write` is set.
+ */
+async function convertBook(options) {
+  const opts = options || {};
+  const book = loadBookManifest(opts.manifest);
+  const config = resolveApiConfig(opts.config);
+  deepMerge(config, book.config);
+  const types = resolveTypes(opts.types || opts.type || book.types, config?.markdownPdf?.type);
+
+  setProxy(config);
+  if (config.markdownPdf?.strict) {
+    assertValid(validateBook(book, config), path.basename(book.manifestPath));
+  }
+
+  const write = Boolean(opts.output) || opts.write === true;
+  const session = opts.session || createBrowserSession(config);
+  const outputs = [];
+  try {
+    for (const type of types) {
+      const html = renderBookHtml(book, type, config, opts.output);
+      const targetPath = write ? resolveOutputPath(book.inputPath, type, opts.output, config) : null;
+      if (targetPath) {
+        ensureDirSync(path.dirname(targetPath));
+      }
+      const buffer = await renderDocument(html, type, config, { inputPath: book.inputPath, targetPath, session });
+      outputs.push({ type, path: targetPath, buffer });
+    }
+  } finally {
+    if (!opts.session) {
+      await session.close();
+    }
+  }
+
+  return outputs;
+}
+
+function resolveApiConfig(config) {
+  if (typeof config === 'string') {
+    return loadConfig(config);
+  }
+  const result = loadConfig();
+  if (isPlainObject(config)) {
+    validateConfig(config, 'options.config');
+    deepMerge(result, JSON.parse(JSON.stringify(config)));
+  }
+  return result;
+}
+
+function resolveVirtualInputPath(baseDir, filename) {
+  return path.resolve(process.cwd(), baseDir || '', filename || 'document.md');
+}
 
-async function main() {
-  const args = parseArgs(process.argv.slice(2));
+async function main(argv) {
+  const args = parseArgs(argv || process.argv.slice(2));
+  handleInterrupts();
   if (args.help) {
     printHelp();
     return;
@@ -246,248 +581,2985 @@ async function main() {
     console.log(pkg.version || '0.0.0');
     return;
   }
-  if (!args.input) {
+  if (args.printConfig) {
+    printConfig([...loadConfigLayers(args.config), { source: 'command line', data: buildCliOverrides(args) }]);
+    return;
+  }
+  if (args.command === 'book') {
+    await runBook(args);
+    return;
+  }
+  if (args.command === 'browsers') {
+    await runBrowsers(args);
+    return;
+  }
+  if (args.command === 'serve') {
+    await runServer(args);
+    return;
+  }
+  if (args.inputs.length === 0) {
     printHelp();
     throw new Error('Input markdown file is required.');
   }
 
-  const inputPath = path.resolve(process.cwd(), args.input);
-  if (!fs.existsSync(inputPath)) {
-    throw new Error(`Input file not found: ${inputPath}`);
+  const fromStdin = args.inputs.includes(STDIO_PATH);
+  const toStdout = args.output === STDIO_PATH;
+  if (fromStdin && args.inputs.length > 1) {
+    throw new Error('Reading from stdin (-) cannot be combined with other inputs.');
+  }
+  if (args.watch && (fromStdin || toStdout)) {
+    throw new Error('--watch cannot be used with stdin or stdout.');
+  }
+  // Keep stdout clean for the rendered bytes.
+  STATUS_TO_STDERR = toStdout;
+
+  const entries = fromStdin
+    ? [{ inputPath: resolveVirtualInputPath(args.baseDir, STDIN_FILENAME), relativeDir: '', markdown: await readStdin() }]
+    : collectInputFiles(args.inputs, {
+      include: args.include,
+      exclude: args.exclude
+    });
+  if (entries.length === 0) {
+    throw new Error(`No markdown files matched: ${args.inputs.join(', ')}`);
   }
 
-  const config = loadConfig(args.config);
+  const overrides = buildCliOverrides(args);
+  const config = deepMerge(loadConfig(args.config), overrides);
   const types = resolveTypes(args.types, config?.markdownPdf?.type);
 
+  if (toStdout && (entries.length > 1 || types.length > 1)) {
+    throw new Error('Writing to stdout (-o -) requires a single input and a single output type.');
+  }
+
   setProxy(config);
 
-  const markdown = fs.readFileSync(inputPath, 'utf-8');
+  const run = {
+    config,
+    types,
+    explicitTypes: args.types.length > 0,
+    output: args.output,
+    overrides,
+    // Documents converted together link to each other's outputs where they are written.
+    linkTargets: new Map(entries.map((entry) => [entry.inputPath, entry.relativeDir])),
+    check: Boolean(args.check),
+    problems: [],
+    buildCache: openBuildCache(config, args),
+    session: null
+  };
 
-  for (const type of types) {
-    console.log(`[markdown-pdf-m-cli] Converting ${path.basename(inputPath)} => ${type}`);
-    const content = convertMarkdownToHtml(inputPath, type, markdown, config);
-    const html = makeHtml(content, inputPath, config);
-    await exportDocument(html, inputPath, type, args.output, config);
+  if (args.watch) {
+    await watchDocuments(entries, run, args);
+    return;
   }
-}
 
-function parseArgs(argv) {
-  const result = { types: [] };
-  const positional = [];
+  run.session = createBrowserSession(config);
+  let results;
+  try {
+    results = await convertEntries(entries, run);
+  } finally {
+    await run.session.close();
+  }
 
-  for (let i = 0; i < argv.length; i += 1) {
-    const token = argv[i];
-    if (!token) {
-      continue;
-    }
-    if (token === '--help' || token === '-h') {
-      result.help = true;
-      continue;
-    }
-    if (token === '--version' || token === '-v') {
-      result.version = true;
-      continue;
-    }
-    if (token === '--config') {
-      result.config = readNextValue(argv, ++i, '--config');
-      continue;
-    }
-    if (token.startsWith('--config=')) {
-      result.config = token.slice('--config='.length);
-      continue;
-    }
-    if (token === '--type' || token === '-t') {
-      const value = readNextValue(argv, ++i, '--type');
-      result.types.push(...splitList(value));
-      continue;
-    }
-    if (token.startsWith('--type=')) {
-      result.types.push(...splitList(token.slice('--type='.length)));
-      continue;
-    }
-    if (token === '--output' || token === '-o') {
-      result.output = readNextValue(argv, ++i, '--output');
-      continue;
-    }
-    if (token.startsWith('--output=')) {
-      result.output = token.slice('--output='.length);
-      continue;
-    }
-    if (token === '--input' || token === '-i') {
-      result.input = readNextValue(argv, ++i, '--input');
-      continue;
-    }
-    if (token.startsWith('--input=')) {
-      result.input = token.slice('--input='.length);
-      continue;
+  if (run.check) {
+    const files = new Set(run.problems.map((problem) => problem.file)).size;
+    logStatus(`[markdown-pdf-m-cli] Checked ${entries.length} file(s): ${run.problems.length} problem(s) in ${files} file(s)`);
+    if (run.problems.length > 0) {
+      process.exitCode = 1;
     }
-    if (token.startsWith('-')) {
-      throw new Error(`Unknown option: ${token}`);
+  } else if (entries.length > 1) {
+    printSummary(results);
+  }
+
+  const failures = results.filter((result) => result.error);
+  if (failures.length > 0) {
+    if (entries.length === 1) {
+      throw failures[0].error;
     }
-    positional.push(token);
+    process.exitCode = 1;
   }
+}
 
-  if (!result.input && positional.length > 0) {
-    result.input = positional.shift();
+/**
+ * Settings given on the command line, shaped like the config file. They are
+ * applied last, after the config file and the document front matter.
+ */
+function buildCliOverrides(args) {
+  const markdownPdf = {};
+  if (args.concurrency !== undefined) {
+    markdownPdf.concurrency = args.concurrency;
+  }
+  if (args.selfContained) {
+    markdownPdf.selfContained = true;
+  }
+  if (args.strict) {
+    markdownPdf.strict = true;
   }
-  if (positional.length > 0) {
-    result.extra = positional;
+  if (args.offline) {
+    markdownPdf.browser = { offline: true };
   }
+  if (args.network || args.allowHosts.length > 0) {
+    markdownPdf.security = { network: args.network || 'allowlist' };
+    if (args.allowHosts.length > 0) {
+      markdownPdf.security.allowedHosts = args.allowHosts;
+    }
+  }
+  const overrides = Object.keys(markdownPdf).length > 0 ? { markdownPdf } : {};
+  return deepMerge(overrides, buildSetOverrides(args.set));
+}
 
+/** `--set a.b=value` assignments as a config object. Values are parsed as JSON when possible. */
+function buildSetOverrides(assignments) {
+  const result = {};
+  for (const assignment of assignments || []) {
+    const index = assignment.indexOf('=');
+    const keyPath = index > 0 ? assignment.slice(0, index).trim() : '';
+    if (!keyPath || keyPath.split('.').some((key) => !key)) {
+      throw new Error(`--set expects key.path=value, got "${assignment}".`);
+    }
+    const raw = assignment.slice(index + 1);
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (_) {
+      value = raw;
+    }
+    const keys = keyPath.split('.');
+    let node = result;
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = isPlainObject(node[key]) ? node[key] : {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  }
+  validateConfig(result, '--set');
   return result;
 }
 
-function readNextValue(argv, index, flag) {
-  if (index >= argv.length) {
-    throw new Error(`Missing value for ${flag}`);
-  }
-  return argv[index];
+async function convertEntries(entries, run) {
+  const results = await mapWithConcurrency(entries, run.session.concurrency, async (entry) => {
+    const dependencies = new Set([entry.inputPath]);
+    try {
+      const upToDate = await convertFile(entry, run, dependencies);
+      return { entry, error: null, dependencies, upToDate };
+    } catch (error) {
+      console.error(`[markdown-pdf-m-cli] Failed: ${entry.inputPath}: ${error && error.message ? error.message : error}`);
+      return { entry, error, dependencies };
+    }
+  });
+  saveBuildCache(run.buildCache);
+  return results;
 }
 
-function splitList(value) {
-  if (!value) {
-    return [];
+async function runBook(args) {
+  if (args.inputs.length > 1) {
+    throw new Error('The book command takes a single manifest.');
   }
-  return value
-    .split(',')
-    .map((entry) => entry.trim())
-    .filter(Boolean)
-    .map((entry) => entry.toLowerCase());
-}
+  const book = loadBookManifest(args.inputs[0]);
+  const config = deepMerge(deepMerge(loadConfig(args.config), book.config), buildCliOverrides(args));
+  const types = resolveTypes(args.types, book.types || config?.markdownPdf?.type);
 
-function printHelp() {
-  console.log(`Usage: markdown-pdf-m-cli <input-file> [options]
+  setProxy(config);
+  if (args.check) {
+    const problems = validateBook(book, config);
+    reportProblems(problems);
+    logStatus(`[markdown-pdf-m-cli] Checked ${book.chapters.length} chapter(s): ${problems.length} problem(s)`);
+    if (problems.length > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  if (config.markdownPdf?.strict) {
+    assertValid(validateBook(book, config), path.basename(book.manifestPath));
+  }
 
-Options
-  -i, --input <file>       Markdown file to convert (can also be provided as the first positional argument)
-  -t, --type <types>       Output types separated by comma [html,pdf,png,jpeg,all]
-  -o, --output <dir>       Output directory override
-      --config <file>      Path to configuration JSON file (default: ./markdown-pdf.config.json)
-  -h, --help               Show this help text
-  -v, --version            Show version
-`);
+  const session = createBrowserSession(config);
+  try {
+    for (const type of types) {
+      logStatus(`[markdown-pdf-m-cli] Building ${path.basename(book.manifestPath)} (${book.chapters.length} chapters) => ${type}`);
+      const html = renderBookHtml(book, type, config, args.output);
+      await exportDocument(html, book.inputPath, type, args.output, config, { session });
+    }
+  } finally {
+    await session.close();
+  }
 }
 
-function loadConfig(customPath) {
-  const defaults = safeRequire(DEFAULT_CONFIG_FILE, {});
-  const result = JSON.parse(JSON.stringify(defaults));
+async function runBrowsers(args) {
+  const [action, spec, ...extra] = args.inputs;
+  if (!BROWSER_ACTIONS.includes(action)) {
+    throw new Error(`Unknown browsers action: ${action || '(none)'}. Use one of: ${BROWSER_ACTIONS.join(', ')}.`);
+  }
+  if (extra.length > 0 || (spec && action !== 'install')) {
+    throw new Error(`Unexpected argument for browsers ${action}: ${[spec, ...extra].filter(Boolean).join(' ')}`);
+  }
+  if (args.keep !== undefined && action !== 'prune') {
+    throw new Error('--keep can only be used with browsers prune.');
+  }
 
-  const candidatePaths = [];
-  if (customPath) {
-    candidatePaths.push(path.resolve(process.cwd(), customPath));
+  const config = deepMerge(loadConfig(args.config), buildCliOverrides(args));
+  if (spec) {
+    config.markdownPdf = { ...config.markdownPdf, browser: { ...config.markdownPdf?.browser, ...parseBrowserSpec(spec) } };
   }
-  candidatePaths.push(path.resolve(process.cwd(), USER_CONFIG_CANDIDATE));
+  setProxy(config);
+  const markdownPdfConfig = config.markdownPdf || {};
+  const browserOptions = normalizeBrowserOptions(markdownPdfConfig, resolvePuppeteerVariant(markdownPdfConfig));
 
-  for (const candidate of candidatePaths) {
-    if (fs.existsSync(candidate)) {
-      const data = safeRequire(candidate, {});
-      deepMerge(result, data || {});
+  switch (action) {
+    case 'list':
+      await listBrowsers(browserOptions);
+      break;
+    case 'install':
+      await installChromium(config, browserOptions);
+      break;
+    case 'verify':
+      await verifyBrowser(config, args.output);
+      break;
+    case 'prune':
+      await pruneBrowsers(browserOptions, args.keep === undefined ? 1 : args.keep);
       break;
-    }
   }
-
-  return result;
 }
 
-function resolveTypes(typesFromArgs, configType) {
-  let resolved = [];
-  if (Array.isArray(typesFromArgs) && typesFromArgs.length > 0) {
-    resolved = typesFromArgs;
-  } else if (typeof typesFromArgs === 'string' && typesFromArgs.trim().length > 0) {
-    resolved = typesFromArgs.split(',');
-  } else if (Array.isArray(configType) && configType.length > 0) {
-    resolved = configType.slice();
-  } else if (typeof configType === 'string' && configType.trim().length > 0) {
-    resolved = [configType];
+/**
+ * Parses `name`, `name@version` or `name@channel` into browser settings that replace the configured ones.
+ */
+function parseBrowserSpec(spec) {
+  const at = spec.indexOf('@');
+  const name = (at === -1 ? spec : spec.slice(0, at)).trim();
+  const version = at === -1 ? '' : spec.slice(at + 1).trim();
+  if (!name || (at !== -1 && !version)) {
+    throw new Error(`Invalid browser: ${spec} (expected name or name@version, e.g. chrome@stable)`);
   }
+  mapBrowserNameToEnum(name);
+  return { name, version, channel: '', buildId: '', revision: '' };
+}
 
-  if (resolved.length === 0) {
-    resolved = ['pdf'];
+async function listBrowsers(browserOptions) {
+  const cacheDir = getBrowserCacheDir(browserOptions.cacheDir);
+  if (browserOptions.executablePath) {
+    console.log(`Configured executable: ${browserOptions.executablePath} (cached browsers are not used)`);
   }
-
-  if (resolved.includes('all')) {
-    resolved = SUPPORTED_TYPES.slice();
+  const installed = sortBrowserBuilds(await getInstalledBrowsers({ cacheDir }));
+  if (installed.length === 0) {
+    console.log(`No browsers cached in ${cacheDir}`);
+    return;
   }
+  console.log(`Browsers cached in ${cacheDir}:`);
+  for (const entry of installed) {
+    const missing = fs.existsSync(entry.executablePath) ? '' : ' (executable missing)';
+    console.log(`  ${entry.browser}@${entry.buildId} [${entry.platform}]${missing}`);
+    console.log(`    ${entry.executablePath}`);
+  }
+}
 
-  const normalized = [];
-  for (const raw of resolved) {
-    const value = String(raw).toLowerCase();
-    if (!SUPPORTED_TYPES.includes(value)) {
-      console.warn(`[markdown-pdf-m-cli] Unsupported type ignored: ${value}`);
-      continue;
+/**
+ * Launches the configured browser and prints a small page, optionally saving the PDF.
+ */
+async function verifyBrowser(config, output) {
+  const session = createBrowserSession(config);
+  try {
+    const browser = await session.getBrowser();
+    const version = await browser.version();
+    const executable = browser.process()?.spawnfile;
+    const pdf = Buffer.from(await session.withPage(async (page) => {
+      await page.setContent(BROWSER_TEST_PAGE);
+      return page.pdf({ format: 'A4' });
+    }));
+    if (pdf.subarray(0, 4).toString('latin1') !== '%PDF') {
+      throw new Error(`${version} did not produce a valid PDF.`);
     }
-    if (!normalized.includes(value)) {
-      normalized.push(value);
+    if (output && output !== STDIO_PATH) {
+      const target = path.resolve(output);
+      ensureDirSync(path.dirname(target));
+      fs.writeFileSync(target, pdf);
     }
+    const saved = output && output !== STDIO_PATH ? ` to ${path.resolve(output)}` : '';
+    logStatus(`[markdown-pdf-m-cli] ${version}${executable ? ` (${executable})` : ''} printed a ${formatBytes(pdf.length)} test page${saved}`);
+  } finally {
+    await session.close();
   }
+}
 
-  if (normalized.length === 0) {
-    throw new Error('No valid output types were provided.');
+/**
+ * Removes all but the newest `keep` builds of each browser. The build renders use is
+ * always kept: the one pinned through markdownPdf.browser.version, or else the default
+ * revision of the puppeteer-core in use.
+ */
+async function pruneBrowsers(browserOptions, keep) {
+  const cacheDir = getBrowserCacheDir(browserOptions.cacheDir);
+  const installed = await getInstalledBrowsers({ cacheDir });
+  const inUse = new Set([...new Set(installed.map((entry) => entry.platform))]
+    .map((platform) => findCachedBrowser(installed, browserOptions, platform))
+    .filter(Boolean));
+  const seen = new Map();
+  const removals = [];
+  for (const entry of sortBrowserBuilds(installed)) {
+    const group = `${entry.browser}:${entry.platform}`;
+    const count = seen.get(group) || 0;
+    seen.set(group, count + 1);
+    if (count >= keep && !inUse.has(entry)) {
+      removals.push(entry);
+    }
   }
 
-  return normalized;
+  for (const entry of removals) {
+    await uninstallBrowser({ browser: entry.browser, buildId: entry.buildId, platform: entry.platform, cacheDir });
+    logStatus(`[markdown-pdf-m-cli] Removed ${entry.browser}@${entry.buildId} [${entry.platform}]`);
+  }
+  const kept = [...seen.values()].reduce((sum, count) => sum + count, 0) - removals.length;
+  logStatus(`[markdown-pdf-m-cli] Pruned ${removals.length} build(s) from ${cacheDir}, ${kept} kept`);
 }
 
-async function exportDocument(html, inputPath, type, outputDirOverride, config) {
-  const targetPath = resolveOutputPath(inputPath, type, outputDirOverride, config);
-  ensureDirSync(path.dirname(targetPath));
-
-  if (type === 'html') {
-    fs.writeFileSync(targetPath, html, 'utf-8');
-    console.log(`[markdown-pdf-m-cli] Saved: ${targetPath}`);
-    return;
+/**
+ * Runs the HTTP render server. The browser is launched once up front and shared by
+ * every request; `markdownPdf.server` holds the limits.
+ */
+async function runServer(args) {
+  if (args.inputs.length > 0) {
+    throw new Error('The serve command takes no inputs.');
   }
+  const layers = loadConfigLayers(args.config);
+  const overrides = buildCliOverrides(args);
+  const config = deepMerge(mergeConfigLayers(layers), overrides);
+  applyServerNetworkDefault(config, [...layers.slice(1).map((layer) => layer.data), overrides]);
+  setProxy(config);
 
-  const markdownPdfConfig = config?.markdownPdf || {};
-  const puppeteerVariant = resolvePuppeteerVariant(markdownPdfConfig);
-  const puppeteerModule = puppeteerVariant.module;
-  const executablePath = await ensureChromium(markdownPdfConfig, config, puppeteerVariant);
-
-  const tmpFile = path.join(path.dirname(targetPath), `${path.basename(targetPath, '.' + type)}_tmp.html`);
-  fs.writeFileSync(tmpFile, html, 'utf-8');
+  const { server, session, options } = buildRenderServer(config, resolveServerOptions(config, args));
+  logStatus('[markdown-pdf-m-cli] Starting the browser ...');
+  const version = await (await session.getBrowser()).version();
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(options.port, options.host, resolve);
+    });
+  } catch (error) {
+    await session.close();
+    throw new Error(`Cannot listen on ${options.host}:${options.port}: ${error.message}`);
+  }
 
-  const launchOptions = {
-    executablePath,
-    args: [`--lang=${detectLanguage(config)}`, '--no-sandbox', '--disable-setuid-sandbox']
-  };
+  stopIsShutdown = true;
+  registerCleanup(async () => {
+    server.close();
+    await session.close();
+  });
 
-  const browser = await puppeteerModule.launch(launchOptions);
-  const page = await browser.newPage();
-  await page.setDefaultTimeout(0);
-  await page.goto(pathToFileURL(tmpFile).toString(), { waitUntil: 'networkidle0' });
+  const allowed = options.allowedDirs.length > 0 ? options.allowedDirs.join(', ') : 'none';
+  logStatus(`[markdown-pdf-m-cli] Serving on http://${options.host}:${server.address().port} with ${version} (${options.concurrency} concurrent render(s), network: ${config.markdownPdf.security.network}, allowed directories: ${allowed})`);
+}
 
-  if (type === 'pdf') {
-    const options = buildPdfOptions(targetPath, markdownPdfConfig);
-    await page.pdf(options);
-  } else {
-    const options = buildScreenshotOptions(targetPath, type, markdownPdfConfig);
-    await page.screenshot(options);
+/**
+ * Creates the render server behind `serve` without starting it: call `server.listen()`.
+ * Takes `config` (a file path or an object merged over the loaded configuration),
+ * `allowDirs`, `host`, `port`, and a `session` to render with; without one the server
+ * launches its own browser on the first render. Close `session` when done.
+ */
+function createRenderServer(options) {
+  const opts = options || {};
+  const layers = loadConfigLayers(typeof opts.config === 'string' ? opts.config : undefined);
+  const config = mergeConfigLayers(layers);
+  const sources = layers.slice(1).map((layer) => layer.data);
+  if (isPlainObject(opts.config)) {
+    validateConfig(opts.config, 'options.config');
+    deepMerge(config, JSON.parse(JSON.stringify(opts.config)));
+    sources.push(opts.config);
   }
+  applyServerNetworkDefault(config, sources);
+  return buildRenderServer(config, resolveServerOptions(config, opts), opts.session);
+}
 
-  await browser.close();
-
-  if (!markdownPdfConfig.debug && fs.existsSync(tmpFile)) {
-    rimraf.sync(tmpFile);
+// Renders reach no other host unless one of the config `sources` sets security.network.
+function applyServerNetworkDefault(config, sources) {
+  if (!sources.some((data) => hasConfigPath(data, 'markdownPdf.security.network'))) {
+    config.markdownPdf.security = { ...config.markdownPdf.security, network: DEFAULT_SERVER_NETWORK };
   }
+}
 
-  console.log(`[markdown-pdf-m-cli] Saved: ${targetPath}`);
+function buildRenderServer(config, options, session) {
+  const state = {
+    config,
+    options,
+    session: session || createBrowserSession(deepMerge({ ...config }, { markdownPdf: { concurrency: options.concurrency } })),
+    active: 0,
+    startedAt: Date.now()
+  };
+  const server = http.createServer((req, res) => {
+    handleServerRequest(req, res, state).catch((error) => sendServerError(res, error));
+  });
+  return { server, session: state.session, options };
 }
 
-function detectLanguage(config) {
-  return config?.language || process.env.LANG || process.env.LANGUAGE || 'en-US';
+function resolveServerOptions(config, args) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const serverConfig = isPlainObject(markdownPdfConfig.server) ? markdownPdfConfig.server : {};
+  const configuredDirs = Array.isArray(serverConfig.allowedDirs) ? serverConfig.allowedDirs : [];
+  const allowedDirs = [...configuredDirs, ...(args.allowDirs || [])].map((dir) => {
+    const resolved = path.resolve(String(dir));
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Allowed directory not found: ${resolved}`);
+    }
+    return fs.realpathSync(resolved);
+  });
+
+  return {
+    host: pickFirstNonEmptyString(args.host, serverConfig.host, '127.0.0.1'),
+    port: args.port !== undefined ? args.port : toNumber(serverConfig.port, DEFAULT_SERVER_PORT),
+    maxBodySize: toNumber(serverConfig.maxBodySize, DEFAULT_SERVER_BODY_LIMIT),
+    timeout: toNumber(serverConfig.timeout, DEFAULT_SERVER_TIMEOUT),
+    concurrency: resolveConcurrency(serverConfig.concurrency !== undefined ? serverConfig.concurrency : markdownPdfConfig.concurrency),
+    allowedDirs
+  };
 }
 
-async function ensureChromium(markdownPdfConfig, config, puppeteerVariant) {
-  const browserOptions = normalizeBrowserOptions(markdownPdfConfig, puppeteerVariant);
-  const overridePath = resolveExecutableOverride(browserOptions.executablePath);
-  if (overridePath) {
-    INSTALL_CHECK = true;
-    return overridePath;
+async function handleServerRequest(req, res, state) {
+  const requestUrl = new URL(req.url, 'http://localhost');
+  if (requestUrl.pathname === '/health') {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      throw httpError(405, 'Use GET for /health.');
+    }
+    let version;
+    try {
+      // Relaunches the browser if it went away, so a healthy answer means renders can run.
+      version = await (await state.session.getBrowser()).version();
+    } catch (error) {
+      sendJson(res, 503, { status: 'error', error: error.message });
+      return;
+    }
+    sendJson(res, 200, {
+      status: 'ok',
+      browser: version,
+      activeRenders: state.active,
+      concurrency: state.options.concurrency,
+      uptime: Math.round((Date.now() - state.startedAt) / 1000)
+    });
+    return;
+  }
+  if (requestUrl.pathname !== '/render') {
+    throw httpError(404, `Not found: ${requestUrl.pathname}`);
+  }
+  if (req.method !== 'POST') {
+    throw httpError(405, 'Use POST for /render.');
   }
 
-  const cacheKey = computeCacheKey(browserOptions.variantId, browserOptions.browser, browserOptions.requestedTag, browserOptions.cacheDir);
-  const cachedPath = cachedExecutables.get(cacheKey);
-  if (cachedPath && fs.existsSync(cachedPath)) {
+  const started = Date.now();
+  const body = await readRequestBody(req, state.options.maxBodySize);
+  const request = parseRenderRequest(req.headers['content-type'], body, requestUrl.searchParams);
+  const timeout = state.options.timeout;
+  const timeoutError = httpError(504, `Rendering ${request.filename} took longer than ${timeout} ms.`);
+  // Aborting closes the request's page (or drops it from the queue) so it gives up its slot.
+  const controller = new AbortController();
+  state.active += 1;
+  let result;
+  try {
+    result = await withTimeout(renderServerRequest(request, state, controller.signal), timeout, timeoutError);
+  } catch (error) {
+    if (error === timeoutError) {
+      controller.abort(timeoutError);
+    }
+    throw error;
+  } finally {
+    state.active -= 1;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': SERVER_CONTENT_TYPES[result.type],
+    'Content-Length': result.buffer.length,
+    'Content-Disposition': `inline; filename="${result.filename}"`,
+    'X-Blocked-Requests': String(result.blocked.length)
+  });
+  res.end(result.buffer);
+  logStatus(`[markdown-pdf-m-cli] Rendered ${request.filename} => ${result.type} (${formatBytes(result.buffer.length)}, ${Date.now() - started} ms)`);
+}
+
+function readRequestBody(req, limit) {
+  const tooLarge = () => httpError(413, `Request body exceeds the limit of ${formatBytes(limit)}.`);
+  if (Number(req.headers['content-length']) > limit) {
+    req.resume();
+    return Promise.reject(tooLarge());
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Reads a render request. JSON bodies carry `markdown` plus optional `type`, `filename`,
+ * `frontMatter`, `config`, `baseDir` and `assets` (relative path => base64 content);
+ * text bodies are the markdown itself, with the other fields in the query string.
+ */
+function parseRenderRequest(contentType, body, params) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  let request;
+  if (mediaType === 'application/json') {
+    try {
+      request = JSON.parse(body.toString('utf-8'));
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+    if (!isPlainObject(request)) {
+      throw httpError(400, 'The JSON body must be an object.');
+    }
+  } else if (['', 'text/markdown', 'text/x-markdown', 'text/plain'].includes(mediaType)) {
+    request = { markdown: body.toString('utf-8') };
+  } else {
+    throw httpError(415, `Unsupported content type: ${mediaType}. Send text/markdown or application/json.`);
+  }
+  for (const key of ['type', 'filename', 'baseDir']) {
+    if (request[key] === undefined && params.has(key)) {
+      request[key] = params.get(key);
+    }
+  }
+
+  if (typeof request.markdown !== 'string') {
+    throw httpError(400, '"markdown" must be a string.');
+  }
+  const type = String(request.type || 'pdf').toLowerCase();
+  if (!SUPPORTED_TYPES.includes(type)) {
+    throw httpError(400, `Unsupported type: ${type}. Use one of: ${SUPPORTED_TYPES.join(', ')}.`);
+  }
+  for (const key of ['frontMatter', 'config', 'assets']) {
+    if (request[key] !== undefined && !isPlainObject(request[key])) {
+      throw httpError(400, `"${key}" must be an object.`);
+    }
+  }
+  if (request.baseDir && request.assets) {
+    throw httpError(400, 'Send either "baseDir" or "assets", not both.');
+  }
+
+  return {
+    markdown: request.markdown,
+    type,
+    filename: path.basename(String(request.filename || 'document.md')),
+    baseDir: request.baseDir ? String(request.baseDir) : null,
+    frontMatter: request.frontMatter || null,
+    config: request.config || {},
+    assets: request.assets || null
+  };
+}
+
+/**
+ * Renders one request. Documents without a baseDir live in an empty temp directory
+ * (holding the asset bundle, if any), and every file the document pulls in must sit
+ * inside that directory, an allowed directory or the package itself. The browser is
+ * held to the same directories, so raw HTML and CSS cannot load other local files.
+ */
+async function renderServerRequest(request, state, signal) {
+  const locked = SERVER_LOCKED_SETTINGS.filter((key) => hasConfigPath(request.config, key));
+  if (locked.length > 0) {
+    throw httpError(403, `These settings cannot be set by a request: ${locked.join(', ')}`);
+  }
+  try {
+    validateConfig(request.config, 'the request config');
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const workDir = request.baseDir ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-pdf-m-serve-'));
+  try {
+    const baseDir = workDir || resolveServerBaseDir(request.baseDir, state.options.allowedDirs);
+    if (request.assets) {
+      writeAssetBundle(workDir, request.assets);
+    }
+    const inputPath = path.join(baseDir, request.filename);
+    let markdown = request.markdown;
+    if (request.frontMatter) {
+      const parsed = grayMatter(markdown);
+      markdown = grayMatter.stringify(parsed.content, { ...parsed.data, ...request.frontMatter });
+    }
+    const frontMatter = grayMatter(markdown).data;
+    const requestConfig = deepMerge({ ...state.config }, request.config);
+    const config = deepMerge(
+      resolveDocumentConfig(inputPath, frontMatter, requestConfig, request.config),
+      { markdownPdf: { security: { confineFiles: true } } }
+    );
+    if (config.markdownPdf?.strict) {
+      const problems = validateDocument(inputPath, markdown, config);
+      if (problems.length > 0) {
+        // Report paths relative to the document so temp directories do not leak into the answer.
+        const lines = problems.map((problem) => formatProblem({ ...problem, file: problem.file && path.relative(baseDir, problem.file) }));
+        throw httpError(422, `${problems.length} problem(s) found:\n${lines.join('\n')}`);
+      }
+    }
+
+    const dependencies = new Set();
+    const content = convertMarkdownToHtml(inputPath, request.type, markdown, config, { dependencies });
+    collectStyleFiles(inputPath, config).forEach((file) => dependencies.add(file));
+    dependencies.add(resolveTemplatePath(inputPath, config, frontMatter));
+    const roots = [baseDir, __dirname, ...state.options.allowedDirs];
+    const assertAllowed = (files) => {
+      const outside = files.filter((file) => !roots.some((root) => isInsideDir(file, root)));
+      if (outside.length > 0) {
+        throw httpError(403, `Reading outside the allowed directories is not permitted: ${outside.join(', ')}`);
+      }
+    };
+    assertAllowed([...dependencies]);
+
+    let html;
+    try {
+      // Template partials are only known while the template renders, so each one is checked as it loads.
+      html = makeHtml(content, inputPath, config, { frontMatter, type: request.type, checkFile: (file) => assertAllowed([file]) });
+    } catch (error) {
+      // Template errors are the request's; keep the temp directory out of the answer.
+      throw error.status ? error : httpError(400, error.message.split(baseDir).join('.'));
+    }
+    const blocked = [];
+    const pageOptions = { inputPath, session: state.session, blocked, roots: state.options.allowedDirs, signal };
+    const buffer = await renderDocument(html, request.type, config, pageOptions);
+    const filename = `${path.basename(request.filename, path.extname(request.filename))}.${request.type}`;
+    return { type: request.type, buffer, filename, blocked };
+  } finally {
+    if (workDir) {
+      rimraf.sync(workDir);
+    }
+  }
+}
+
+function resolveServerBaseDir(baseDir, allowedDirs) {
+  if (allowedDirs.length === 0) {
+    throw httpError(403, '"baseDir" is disabled. Start the server with --allow-dir or set markdownPdf.server.allowedDirs.');
+  }
+  const resolved = path.resolve(allowedDirs[0], baseDir);
+  const real = fs.existsSync(resolved) ? fs.realpathSync(resolved) : null;
+  if (!real || !fs.statSync(real).isDirectory()) {
+    throw httpError(400, `Base directory not found: ${baseDir}`);
+  }
+  if (!allowedDirs.some((dir) => isInsideDir(real, dir))) {
+    throw httpError(403, `Base directory is outside the allowed directories: ${baseDir}`);
+  }
+  return real;
+}
+
+function writeAssetBundle(dir, assets) {
+  for (const [name, data] of Object.entries(assets)) {
+    const target = path.resolve(dir, name);
+    if (target === dir || !isInsideDir(target, dir)) {
+      throw httpError(400, `Invalid asset path: ${name}`);
+    }
+    if (typeof data !== 'string') {
+      throw httpError(400, `Asset ${name} must be a base64 string.`);
+    }
+    ensureDirSync(path.dirname(target));
+    fs.writeFileSync(target, Buffer.from(data, 'base64'));
+  }
+}
+
+/**
+ * Whether `file` is `dir` or below it. Existing files are compared by their real path
+ * so a symlink cannot point out of the directory.
+ */
+function isInsideDir(file, dir) {
+  const real = fs.existsSync(file) ? fs.realpathSync(file) : path.resolve(file);
+  const relative = path.relative(fs.existsSync(dir) ? fs.realpathSync(dir) : dir, real);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function hasConfigPath(data, key) {
+  let value = data;
+  for (const part of key.split('.')) {
+    if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, part)) {
+      return false;
+    }
+    value = value[part];
+  }
+  return true;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+function sendServerError(res, error) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.warn(`[markdown-pdf-m-cli] Request failed: ${error.message}`);
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  sendJson(res, status, { error: error.message });
+}
+
+async function convertFile(entry, run, dependencies) {
+  const inputPath = entry.inputPath;
+  const markdown = typeof entry.markdown === 'string' ? entry.markdown : fs.readFileSync(inputPath, 'utf-8');
+  const frontMatter = grayMatter(markdown).data;
+  const config = resolveDocumentConfig(inputPath, frontMatter, run.config, run.overrides);
+  const types = run.explicitTypes || frontMatter.type === undefined
+    ? run.types
+    : resolveTypes(frontMatter.type, run.types);
+
+  if (run.output === STDIO_PATH && types.length > 1) {
+    throw new Error('Writing to stdout (-o -) requires a single output type.');
+  }
+
+  // Stdin documents depend on the same stylesheets and template; their source is hashed from the buffered text.
+  if (dependencies) {
+    collectStyleFiles(inputPath, config).forEach((file) => dependencies.add(file));
+    dependencies.add(resolveTemplatePath(inputPath, config, frontMatter));
+  }
+
+  if (run.check) {
+    const problems = validateDocument(inputPath, markdown, config);
+    reportProblems(problems);
+    run.problems.push(...problems);
+    return;
+  }
+  if (config.markdownPdf?.strict) {
+    assertValid(validateDocument(inputPath, markdown, config), path.basename(inputPath));
+  }
+
+  let upToDate = true;
+  for (const type of types) {
+    const content = convertMarkdownToHtml(inputPath, type, markdown, config, {
+      dependencies,
+      outputDir: run.output === STDIO_PATH ? undefined : run.output,
+      relativeDir: entry.relativeDir,
+      linkTargets: run.linkTargets
+    });
+    const html = makeHtml(content, inputPath, config, { frontMatter, type });
+
+    // Markdown is rendered first so the build fingerprint covers every file it pulled in.
+    const targetPath = run.buildCache && dependencies ? resolveOutputPath(inputPath, type, run.output, config, entry.relativeDir) : null;
+    const build = targetPath ? fingerprintBuild(inputPath, markdown, type, config, dependencies) : null;
+    const reasons = !build ? [] : run.buildCache.force ? ['--force'] : findRebuildReasons(run.buildCache.outputs[targetPath], build, targetPath);
+    if (build && reasons.length === 0) {
+      logStatus(`[markdown-pdf-m-cli] Up to date: ${path.basename(inputPath)} => ${type}`);
+      continue;
+    }
+    upToDate = false;
+
+    logStatus(`[markdown-pdf-m-cli] Converting ${path.basename(inputPath)} => ${type}${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`);
+    await exportDocument(html, inputPath, type, run.output, config, { relativeDir: entry.relativeDir, session: run.session });
+    if (build) {
+      run.buildCache.outputs[targetPath] = { source: inputPath, type, ...build };
+      run.buildCache.dirty = true;
+    }
+  }
+  return upToDate;
+}
+
+/**
+ * Effective configuration for one document. Precedence, lowest first:
+ * defaults < config file < front matter < command line.
+ */
+function resolveDocumentConfig(inputPath, frontMatter, config, overrides) {
+  warnUnknownFrontMatterKeys(inputPath, frontMatter, config);
+
+  const settings = {};
+  for (const key of FRONT_MATTER_PAGE_KEYS) {
+    if (key !== 'type' && frontMatter[key] !== undefined && frontMatter[key] !== null) {
+      settings[key] = frontMatter[key];
+    }
+  }
+  if (settings.margin !== undefined) {
+    settings.margin = normalizeMargin(settings.margin);
+  }
+  if (settings.styles !== undefined) {
+    // Front matter styles belong to the document, so they resolve against its directory.
+    settings.styles = (Array.isArray(settings.styles) ? settings.styles : [settings.styles])
+      .map((href) => resolveDocumentHref(String(href), inputPath));
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return config;
+  }
+  validateConfig({ markdownPdf: settings }, `the front matter of ${path.basename(inputPath)}`);
+  const result = JSON.parse(JSON.stringify(config));
+  deepMerge(result, { markdownPdf: settings });
+  return deepMerge(result, overrides || {});
+}
+
+function warnUnknownFrontMatterKeys(inputPath, frontMatter, config) {
+  const known = FRONT_MATTER_RENDER_KEYS.concat(FRONT_MATTER_PAGE_KEYS, FRONT_MATTER_METADATA_KEYS);
+  let templateNames = null;
+  for (const key of Object.keys(frontMatter || {})) {
+    if (known.includes(key)) {
+      continue;
+    }
+    // Custom keys are fine as long as the active template uses them.
+    if (templateNames === null) {
+      try {
+        templateNames = collectTemplateNames(loadTemplate(inputPath, config, frontMatter).template);
+      } catch (_) {
+        templateNames = [];
+      }
+    }
+    if (templateNames.includes(key)) {
+      continue;
+    }
+    const suggestion = suggestKey(key, known);
+    console.warn(`[markdown-pdf-m-cli] Unknown front matter key "${key}" in ${path.basename(inputPath)}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+  }
+}
+
+function normalizeMargin(value) {
+  if (isPlainObject(value)) {
+    return value;
+  }
+  // CSS shorthand: "1cm", "1cm 2cm", "1cm 2cm 3cm" or "1cm 2cm 3cm 4cm".
+  const parts = String(value).trim().split(/\s+/).filter(Boolean);
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+function resolveDocumentHref(href, inputPath) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(href) || href.startsWith('~') || path.isAbsolute(href)) {
+    return href;
+  }
+  return path.resolve(path.dirname(inputPath), href);
+}
+
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(1, Math.floor(key.length / 4)) ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Converts the entries once, then keeps the process alive and re-renders a
+ * document whenever one of its dependencies changes: the markdown itself,
+ * included files, local images, stylesheets or the loaded config file.
+ */
+async function watchDocuments(entries, run, args) {
+  run.session = createBrowserSession(run.config);
+  const configPath = resolveConfigPath(args.config);
+  const dependencyMap = new Map();
+  const watchers = new Map();
+  const pendingFiles = new Set();
+  let timer = null;
+  let building = false;
+
+  const label = (file) => path.relative(process.cwd(), file) || file;
+
+  const updateWatchers = () => {
+    const files = new Set(configPath ? [configPath] : []);
+    for (const dependencies of dependencyMap.values()) {
+      dependencies.forEach((file) => files.add(file));
+    }
+    // Watch directories rather than files so editors that save by renaming keep working.
+    const dirs = new Set(Array.from(files).map((file) => path.dirname(file)));
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir) || !fs.existsSync(dir)) {
+        continue;
+      }
+      try {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          if (filename) {
+            onChange(path.join(dir, filename.toString()));
+          } else {
+            files.forEach((file) => path.dirname(file) === dir && onChange(file));
+          }
+        });
+        watcher.on('error', (error) => {
+          console.warn(`[markdown-pdf-m-cli] Stopped watching ${label(dir)}: ${error.message}`);
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch (error) {
+        console.warn(`[markdown-pdf-m-cli] Unable to watch ${label(dir)}: ${error.message}`);
+      }
+    }
+  };
+
+  const build = async (targets) => {
+    const results = await convertEntries(targets, run);
+    for (const result of results) {
+      dependencyMap.set(result.entry.inputPath, result.dependencies);
+    }
+    updateWatchers();
+  };
+
+  const rebuild = async () => {
+    if (building) {
+      return;
+    }
+    building = true;
+    const changed = Array.from(pendingFiles);
+    pendingFiles.clear();
+    try {
+      changed.forEach((file) => logStatus(`[markdown-pdf-m-cli] Changed: ${label(file)}`));
+      if (configPath && changed.includes(configPath)) {
+        run.config = deepMerge(loadConfig(args.config), run.overrides);
+        run.types = resolveTypes(args.types, run.config?.markdownPdf?.type);
+        setProxy(run.config);
+        await run.session.close();
+        run.session = createBrowserSession(run.config);
+        await build(entries);
+      } else {
+        const targets = entries.filter((entry) => {
+          const dependencies = dependencyMap.get(entry.inputPath);
+          return changed.some((file) => dependencies && dependencies.has(file));
+        });
+        await build(targets);
+      }
+    } catch (error) {
+      console.error(`[markdown-pdf-m-cli] Rebuild failed: ${error && error.message ? error.message : error}`);
+    } finally {
+      building = false;
+    }
+    if (pendingFiles.size > 0) {
+      schedule();
+    } else {
+      logStatus('[markdown-pdf-m-cli] Waiting for changes...');
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  };
+
+  const onChange = (file) => {
+    const isDependency = file === configPath
+      || Array.from(dependencyMap.values()).some((dependencies) => dependencies.has(file));
+    if (!isDependency) {
+      return;
+    }
+    pendingFiles.add(file);
+    if (!building) {
+      schedule();
+    }
+  };
+
+  stopIsShutdown = true;
+  registerCleanup(async () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+    watchers.clear();
+    await run.session.close();
+  });
+
+  await build(entries);
+  logStatus('[markdown-pdf-m-cli] Watching for changes... (press Ctrl+C to stop)');
+}
+
+function printSummary(results) {
+  const failed = results.filter((result) => result.error).length;
+  logStatus('');
+  logStatus('[markdown-pdf-m-cli] Summary');
+  const upToDate = results.filter((result) => result.upToDate).length;
+  for (const { entry, error, upToDate: skipped } of results) {
+    const label = path.relative(process.cwd(), entry.inputPath) || entry.inputPath;
+    if (error) {
+      logStatus(`  FAIL  ${label} (${error && error.message ? error.message : error})`);
+    } else if (skipped) {
+      logStatus(`  SKIP  ${label} (up to date)`);
+    } else {
+      logStatus(`  OK    ${label}`);
+    }
+  }
+  const skippedNote = upToDate > 0 ? ` (${upToDate} up to date)` : '';
+  logStatus(`[markdown-pdf-m-cli] ${results.length - failed} succeeded${skippedNote}, ${failed} failed (${results.length} total)`);
+}
+
+/**
+ * Opens the manifest of earlier builds: in the output directory when -o is given,
+ * otherwise in the user cache. Returns null when incremental builds are off.
+ */
+function openBuildCache(config, args) {
+  const settings = isPlainObject(config?.markdownPdf?.buildCache) ? config.markdownPdf.buildCache : {};
+  if (settings.enable === false || args.check || args.output === STDIO_PATH) {
+    return null;
+  }
+  const configured = pickFirstNonEmptyString(settings.file);
+  const file = configured
+    ? path.resolve(configured)
+    : args.output ? path.resolve(args.output, BUILD_CACHE_FILENAME) : DEFAULT_BUILD_CACHE_FILE;
+  const data = safeReadJson(file);
+  const outputs = data?.version === BUILD_CACHE_VERSION && isPlainObject(data.outputs) ? data.outputs : {};
+  return { file, outputs, force: Boolean(args.force), dirty: false };
+}
+
+function saveBuildCache(buildCache) {
+  if (!buildCache || !buildCache.dirty) {
+    return;
+  }
+  try {
+    ensureDirSync(path.dirname(buildCache.file));
+    fs.writeFileSync(buildCache.file, JSON.stringify({ version: BUILD_CACHE_VERSION, outputs: buildCache.outputs }, null, 2), 'utf-8');
+    buildCache.dirty = false;
+  } catch (error) {
+    console.warn(`[markdown-pdf-m-cli] Unable to write the build cache ${buildCache.file}: ${error.message}`);
+  }
+}
+
+/**
+ * Hashes what one output depends on: the markdown, every file it pulled in (includes,
+ * images, stylesheets, template, hooks), the effective config and the tool and browser.
+ */
+function fingerprintBuild(inputPath, markdown, type, config, dependencies) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const files = new Set(dependencies);
+  if (typeof markdownPdfConfig.hooks === 'string' && markdownPdfConfig.hooks.trim()) {
+    files.add(path.resolve(markdownPdfConfig.hooks.trim()));
+  }
+  const inputs = {};
+  for (const file of files) {
+    inputs[file] = file === inputPath ? hashContent(markdown) : hashFile(file);
+  }
+  const usesBrowser = type !== 'html' || Boolean(markdownPdfConfig.mermaid?.prerender);
+  return {
+    inputs,
+    config: hashContent(JSON.stringify({ type, config })),
+    tool: safeRequire(path.join(__dirname, 'package.json'), {}).version || '0.0.0',
+    browser: usesBrowser ? describeConfiguredBrowser(markdownPdfConfig) : null
+  };
+}
+
+function findRebuildReasons(previous, current, targetPath) {
+  if (!previous) {
+    return ['not built before'];
+  }
+  if (!fs.existsSync(targetPath)) {
+    return ['output missing'];
+  }
+  const label = (file) => path.relative(process.cwd(), file) || file;
+  const reasons = [];
+  for (const [file, hash] of Object.entries(current.inputs)) {
+    if (!Object.prototype.hasOwnProperty.call(previous.inputs || {}, file)) {
+      reasons.push(`${label(file)} added`);
+    } else if (previous.inputs[file] !== hash) {
+      reasons.push(hash === null ? `${label(file)} missing` : `${label(file)} changed`);
+    }
+  }
+  for (const file of Object.keys(previous.inputs || {})) {
+    if (!Object.prototype.hasOwnProperty.call(current.inputs, file)) {
+      reasons.push(`${label(file)} no longer used`);
+    }
+  }
+  if (previous.config !== current.config) {
+    reasons.push('configuration changed');
+  }
+  if (previous.tool !== current.tool) {
+    reasons.push(`markdown-pdf-m ${previous.tool} => ${current.tool}`);
+  }
+  if (previous.browser !== current.browser) {
+    reasons.push('browser changed');
+  }
+  return reasons;
+}
+
+/**
+ * Identifies the browser a render would use without launching it. Channel tags such
+ * as "stable" are recorded as is, so a new stable release does not trigger rebuilds.
+ */
+function describeConfiguredBrowser(markdownPdfConfig) {
+  try {
+    const browserOptions = normalizeBrowserOptions(markdownPdfConfig, resolvePuppeteerVariant(markdownPdfConfig));
+    const build = browserOptions.requestedTag || browserOptions.revisions[browserOptions.browser] || '';
+    return [browserOptions.variantId, browserOptions.browser, build, browserOptions.executablePath || ''].join(':');
+  } catch (_) {
+    return null;
+  }
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hashFile(file) {
+  try {
+    return hashContent(fs.readFileSync(file));
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseArgs(argv) {
+  const result = { types: [], inputs: [], include: [], exclude: [], set: [], allowDirs: [], allowHosts: [] };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token) {
+      continue;
+    }
+    if (token === '--help' || token === '-h') {
+      result.help = true;
+      continue;
+    }
+    if (token === '--version' || token === '-v') {
+      result.version = true;
+      continue;
+    }
+    if (token === '--config') {
+      result.config = readNextValue(argv, ++i, '--config');
+      continue;
+    }
+    if (token.startsWith('--config=')) {
+      result.config = token.slice('--config='.length);
+      continue;
+    }
+    if (token === '--type' || token === '-t') {
+      const value = readNextValue(argv, ++i, '--type');
+      result.types.push(...splitList(value));
+      continue;
+    }
+    if (token.startsWith('--type=')) {
+      result.types.push(...splitList(token.slice('--type='.length)));
+      continue;
+    }
+    if (token === '--output' || token === '-o') {
+      result.output = readNextValue(argv, ++i, '--output');
+      continue;
+    }
+    if (token.startsWith('--output=')) {
+      result.output = token.slice('--output='.length);
+      continue;
+    }
+    if (token === '--input' || token === '-i') {
+      result.inputs.push(readNextValue(argv, ++i, '--input'));
+      continue;
+    }
+    if (token.startsWith('--input=')) {
+      result.inputs.push(token.slice('--input='.length));
+      continue;
+    }
+    if (token === '--include') {
+      result.include.push(...splitPatterns(readNextValue(argv, ++i, '--include')));
+      continue;
+    }
+    if (token.startsWith('--include=')) {
+      result.include.push(...splitPatterns(token.slice('--include='.length)));
+      continue;
+    }
+    if (token === '--exclude') {
+      result.exclude.push(...splitPatterns(readNextValue(argv, ++i, '--exclude')));
+      continue;
+    }
+    if (token.startsWith('--exclude=')) {
+      result.exclude.push(...splitPatterns(token.slice('--exclude='.length)));
+      continue;
+    }
+    if (token === '--concurrency' || token === '-j') {
+      result.concurrency = parseConcurrency(readNextValue(argv, ++i, '--concurrency'), '--concurrency');
+      continue;
+    }
+    if (token.startsWith('--concurrency=')) {
+      result.concurrency = parseConcurrency(token.slice('--concurrency='.length), '--concurrency');
+      continue;
+    }
+    if (token === '--watch' || token === '-w') {
+      result.watch = true;
+      continue;
+    }
+    if (token === '--set') {
+      result.set.push(readNextValue(argv, ++i, '--set'));
+      continue;
+    }
+    if (token.startsWith('--set=')) {
+      result.set.push(token.slice('--set='.length));
+      continue;
+    }
+    if (token === '--print-config') {
+      result.printConfig = true;
+      continue;
+    }
+    if (token === '--check') {
+      result.check = true;
+      continue;
+    }
+    if (token === '--strict') {
+      result.strict = true;
+      continue;
+    }
+    if (token === '--port') {
+      result.port = parsePort(readNextValue(argv, ++i, '--port'));
+      continue;
+    }
+    if (token.startsWith('--port=')) {
+      result.port = parsePort(token.slice('--port='.length));
+      continue;
+    }
+    if (token === '--host') {
+      result.host = readNextValue(argv, ++i, '--host');
+      continue;
+    }
+    if (token.startsWith('--host=')) {
+      result.host = token.slice('--host='.length);
+      continue;
+    }
+    if (token === '--allow-dir') {
+      result.allowDirs.push(readNextValue(argv, ++i, '--allow-dir'));
+      continue;
+    }
+    if (token.startsWith('--allow-dir=')) {
+      result.allowDirs.push(token.slice('--allow-dir='.length));
+      continue;
+    }
+    if (token === '--network') {
+      result.network = parseNetworkPolicy(readNextValue(argv, ++i, '--network'));
+      continue;
+    }
+    if (token.startsWith('--network=')) {
+      result.network = parseNetworkPolicy(token.slice('--network='.length));
+      continue;
+    }
+    if (token === '--allow-host') {
+      result.allowHosts.push(...splitList(readNextValue(argv, ++i, '--allow-host')));
+      continue;
+    }
+    if (token.startsWith('--allow-host=')) {
+      result.allowHosts.push(...splitList(token.slice('--allow-host='.length)));
+      continue;
+    }
+    if (token === '--force' || token === '-f') {
+      result.force = true;
+      continue;
+    }
+    if (token === '--offline') {
+      result.offline = true;
+      continue;
+    }
+    if (token === '--keep') {
+      result.keep = parseKeepCount(readNextValue(argv, ++i, '--keep'));
+      continue;
+    }
+    if (token.startsWith('--keep=')) {
+      result.keep = parseKeepCount(token.slice('--keep='.length));
+      continue;
+    }
+    if (token === '--self-contained') {
+      result.selfContained = true;
+      continue;
+    }
+    if (token === '--base-dir') {
+      result.baseDir = readNextValue(argv, ++i, '--base-dir');
+      continue;
+    }
+    if (token.startsWith('--base-dir=')) {
+      result.baseDir = token.slice('--base-dir='.length);
+      continue;
+    }
+    if (token === STDIO_PATH) {
+      result.inputs.push(token);
+      continue;
+    }
+    if (i === 0 && COMMANDS.includes(token)) {
+      result.command = token;
+      continue;
+    }
+    if (token.startsWith('-')) {
+      throw new Error(`Unknown option: ${token}`);
+    }
+    result.inputs.push(token);
+  }
+
+  return result;
+}
+
+function readNextValue(argv, index, flag) {
+  if (index >= argv.length) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return argv[index];
+}
+
+function splitList(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => entry.toLowerCase());
+}
+
+function parseConcurrency(value, flag) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 1) {
+    throw new Error(`Invalid value for ${flag}: ${value} (expected a positive integer)`);
+  }
+  return num;
+}
+
+function parseKeepCount(value) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new Error(`Invalid value for --keep: ${value} (expected a non-negative integer)`);
+  }
+  return num;
+}
+
+function parseNetworkPolicy(value) {
+  if (!NETWORK_POLICIES.includes(value)) {
+    throw new Error(`Invalid value for --network: ${value} (expected ${NETWORK_POLICIES.join(', ')})`);
+  }
+  return value;
+}
+
+function parsePort(value) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0 || num > 65535) {
+    throw new Error(`Invalid value for --port: ${value} (expected 0-65535)`);
+  }
+  return num;
+}
+
+function splitPatterns(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function printHelp() {
+  console.log(`Usage: markdown-pdf-m-cli <inputs...> [options]
+       markdown-pdf-m-cli book <manifest|dir> [options]
+       markdown-pdf-m-cli browsers <list|install [name@version]|verify|prune> [options]
+       markdown-pdf-m-cli serve [--port <n>] [--host <addr>] [--allow-dir <dir>] [options]
+
+Inputs may be markdown files, directories (searched recursively) or glob patterns.
+The book command merges the chapters listed in book.json / book.yml into one document.
+The browsers command lists, installs, test-launches or prunes the browsers cached for rendering.
+The serve command keeps a browser running and renders documents posted to http://<host>:<port>/render.
+
+Options
+  -i, --input <path>       Markdown file, directory or glob to convert (repeatable; positional arguments work too)
+                           Use "-" to read markdown from stdin
+  -t, --type <types>       Output types separated by comma [html,pdf,png,jpeg,all]
+  -o, --output <dir>       Output directory override (the source tree is mirrored below it)
+                           Use "-" to write a single output type to stdout
+      --base-dir <dir>     Directory that relative images, includes and styles of stdin input resolve against (default: cwd)
+  -j, --concurrency <n>    Number of documents rendered in parallel (default: markdownPdf.concurrency or 1)
+  -w, --watch              Re-render when the inputs, their includes, images, styles or the config change
+      --self-contained     Embed images, stylesheets, fonts and scripts in HTML output
+  -f, --force              Rebuild every output, even when its inputs have not changed
+      --check              Only validate images, links, anchors, includes and stylesheets; exit 1 on problems
+      --strict             Validate before converting and fail documents with problems
+      --network <policy>   Requests a render may make: any, allowlist or offline (default: markdownPdf.security.network)
+      --allow-host <hosts> Hosts the allowlist policy lets through, e.g. cdn.example.com,*.example.org (repeatable)
+      --offline            Never download a browser; use a cached build or markdownPdf.browser.executablePath
+      --keep <n>           Builds of each browser kept by "browsers prune" (default: 1)
+      --port <n>           Port of the serve command (default: markdownPdf.server.port or ${DEFAULT_SERVER_PORT})
+      --host <addr>        Address the serve command listens on (default: 127.0.0.1)
+      --allow-dir <dir>    Directory render requests may use as baseDir and read files from (repeatable)
+      --include <globs>    Patterns used to pick files inside directories (default: ${DEFAULT_INCLUDE_PATTERNS.join(',')})
+      --exclude <globs>    Patterns of files to skip (default: ${DEFAULT_EXCLUDE_PATTERNS.join(',')})
+      --config <file>      Configuration file (.json, .yml, .yaml, .js). Default: markdown-pdf.config.* in
+                           the working directory or a parent, or the "markdownPdf" key of package.json
+      --set <key=value>    Override one setting, e.g. --set markdownPdf.scale=0.9 (repeatable)
+      --print-config       Print the merged configuration with the source of each value
+  -h, --help               Show this help text
+  -v, --version            Show version
+`);
+}
+
+function collectInputFiles(inputs, options) {
+  const include = options?.include?.length > 0 ? options.include : DEFAULT_INCLUDE_PATTERNS;
+  const exclude = (options?.exclude || []).concat(DEFAULT_EXCLUDE_PATTERNS);
+  const entries = [];
+  const seen = new Set();
+
+  const addEntry = (filePath, baseDir) => {
+    const inputPath = path.resolve(filePath);
+    if (seen.has(inputPath)) {
+      return;
+    }
+    if (isExcluded(inputPath, baseDir, exclude)) {
+      return;
+    }
+    seen.add(inputPath);
+    entries.push({
+      inputPath,
+      relativeDir: path.relative(baseDir, path.dirname(inputPath))
+    });
+  };
+
+  for (const input of inputs) {
+    const resolved = path.resolve(process.cwd(), input);
+    const stat = fs.existsSync(resolved) ? fs.statSync(resolved) : null;
+
+    if (stat && stat.isFile()) {
+      addEntry(resolved, path.dirname(resolved));
+      continue;
+    }
+
+    if (stat && stat.isDirectory()) {
+      const matches = [];
+      for (const pattern of include) {
+        matches.push(...glob.sync(toGlobPattern(pattern), { cwd: resolved, nodir: true, dot: false, absolute: true }));
+      }
+      matches.sort().forEach((match) => addEntry(match, resolved));
+      continue;
+    }
+
+    const pattern = toGlobPattern(input);
+    if (!glob.hasMagic(pattern)) {
+      throw new Error(`Input file not found: ${resolved}`);
+    }
+    const baseDir = path.resolve(process.cwd(), globBaseDir(pattern));
+    glob.sync(pattern, { cwd: process.cwd(), nodir: true, absolute: true })
+      .sort()
+      .forEach((match) => addEntry(match, baseDir));
+  }
+
+  return entries;
+}
+
+function isExcluded(filePath, baseDir, patterns) {
+  const relative = toGlobPattern(path.relative(baseDir, filePath));
+  return patterns.some((pattern) => {
+    const normalized = toGlobPattern(pattern);
+    return minimatch(relative, normalized, { dot: true, matchBase: !normalized.includes('/') });
+  });
+}
+
+function globBaseDir(pattern) {
+  const segments = pattern.split('/');
+  const base = [];
+  for (const segment of segments) {
+    if (glob.hasMagic(segment)) {
+      break;
+    }
+    base.push(segment);
+  }
+  if (base.length === segments.length) {
+    base.pop();
+  }
+  const joined = base.join('/');
+  if (joined) {
+    return joined;
+  }
+  return pattern.startsWith('/') ? '/' : '.';
+}
+
+function toGlobPattern(value) {
+  return String(value).replace(/\\/g, '/');
+}
+
+function loadConfig(customPath) {
+  return mergeConfigLayers(loadConfigLayers(customPath));
+}
+
+/**
+ * The configuration sources in merge order, as [{ source, data }]: the bundled
+ * defaults, then the config file found by resolveConfigPath.
+ */
+function loadConfigLayers(customPath) {
+  const layers = [{ source: 'defaults', data: safeRequire(DEFAULT_CONFIG_FILE, {}) }];
+  const configPath = resolveConfigPath(customPath);
+  if (configPath) {
+    const data = readConfigFile(configPath);
+    validateConfig(data, configPath);
+    anchorConfigPaths(data, path.dirname(configPath));
+    layers.push({ source: configPath, data });
+  }
+  return layers;
+}
+
+function mergeConfigLayers(layers) {
+  return layers.reduce((result, layer) => deepMerge(result, JSON.parse(JSON.stringify(layer.data))), {});
+}
+
+function readConfigFile(configPath) {
+  const extension = path.extname(configPath).toLowerCase();
+  let data;
+  try {
+    if (extension === '.js' || extension === '.cjs') {
+      // Drop the cached copy so watch mode picks up edits to the file.
+      delete require.cache[configPath];
+      data = require(configPath);
+    } else if (extension === '.yml' || extension === '.yaml') {
+      data = yaml.safeLoad(fs.readFileSync(configPath, 'utf-8')) || {};
+    } else {
+      data = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+  } catch (error) {
+    throw new Error(`Failed to read configuration ${configPath}: ${error.message}`);
+  }
+  if (path.basename(configPath) === 'package.json') {
+    return { markdownPdf: data.markdownPdf };
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`Configuration ${configPath} must contain an object.`);
+  }
+  return data;
+}
+
+// Paths in a config file are relative to that file, wherever the CLI runs from, so resolve
+// them now. Styles and outputDirectory marked relative to each document are left alone.
+function anchorConfigPaths(config, baseDir) {
+  const anchor = (value) => {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed || trimmed.startsWith('~') || path.isAbsolute(trimmed) || /^[a-z][a-z\d+.-]*:/i.test(trimmed)) {
+      return value;
+    }
+    return path.resolve(baseDir, trimmed);
+  };
+  if (isPlainObject(config?.markdown) && Array.isArray(config.markdown.styles)) {
+    config.markdown.styles = config.markdown.styles.map(anchor);
+  }
+  const markdownPdfConfig = config?.markdownPdf;
+  if (!isPlainObject(markdownPdfConfig)) {
+    return;
+  }
+  if (Array.isArray(markdownPdfConfig.styles) && markdownPdfConfig.stylesRelativePathFile !== true) {
+    markdownPdfConfig.styles = markdownPdfConfig.styles.map(anchor);
+  }
+  const anchorKey = (object, key) => {
+    if (isPlainObject(object) && typeof object[key] === 'string') {
+      object[key] = anchor(object[key]);
+    }
+  };
+  if (markdownPdfConfig.outputDirectoryRelativePathFile !== true) {
+    anchorKey(markdownPdfConfig, 'outputDirectory');
+  }
+  anchorKey(markdownPdfConfig, 'template');
+  anchorKey(markdownPdfConfig, 'executablePath');
+  anchorKey(markdownPdfConfig.browser, 'executablePath');
+  anchorKey(markdownPdfConfig.browser, 'cacheDir');
+  anchorKey(markdownPdfConfig.mermaid, 'path');
+  anchorKey(markdownPdfConfig.plantuml, 'cacheDir');
+  // A bundled highlight.js style name stays as it is.
+  const highlightStyle = anchor(markdownPdfConfig.highlightStyle);
+  if (highlightStyle !== markdownPdfConfig.highlightStyle && fs.existsSync(highlightStyle)) {
+    markdownPdfConfig.highlightStyle = highlightStyle;
+  }
+  if (Array.isArray(markdownPdfConfig.plugins)) {
+    markdownPdfConfig.plugins = markdownPdfConfig.plugins.map((entry) => {
+      const plugin = typeof entry === 'string' ? { module: entry } : entry;
+      return isPlainObject(plugin) && !plugin.baseDir ? { ...plugin, baseDir } : plugin;
+    });
+  }
+  if (typeof markdownPdfConfig.hooks === 'string' && markdownPdfConfig.hooks.trim()) {
+    markdownPdfConfig.hooks = path.resolve(baseDir, markdownPdfConfig.hooks.trim());
+  }
+  if (typeof markdownPdfConfig.debug === 'string' && markdownPdfConfig.debug.trim()) {
+    markdownPdfConfig.debug = path.resolve(baseDir, markdownPdfConfig.debug.trim());
+  }
+  const buildCacheFile = markdownPdfConfig.buildCache?.file;
+  if (typeof buildCacheFile === 'string' && buildCacheFile.trim()) {
+    markdownPdfConfig.buildCache.file = path.resolve(baseDir, buildCacheFile.trim());
+  }
+  if (isPlainObject(markdownPdfConfig.server) && Array.isArray(markdownPdfConfig.server.allowedDirs)) {
+    markdownPdfConfig.server.allowedDirs = markdownPdfConfig.server.allowedDirs.map((dir) => path.resolve(baseDir, String(dir)));
+  }
+}
+
+function resolveConfigPath(customPath) {
+  if (customPath) {
+    const configPath = path.resolve(process.cwd(), customPath);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Configuration file not found: ${configPath}`);
+    }
+    return configPath;
+  }
+
+  for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+    const candidate = CONFIG_FILE_CANDIDATES
+      .map((name) => path.join(dir, name))
+      .find((file) => fs.existsSync(file));
+    if (candidate) {
+      return candidate;
+    }
+    const packageJson = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJson) && isPlainObject(safeReadJson(packageJson)?.markdownPdf)) {
+      return packageJson;
+    }
+    if (path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+function safeReadJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Checks `data` against the keys and value types of the bundled defaults and
+ * CONFIG_RULES. Unknown keys are warned about with a suggestion; invalid values throw,
+ * listing every problem found in `source`.
+ */
+function validateConfig(data, source) {
+  const defaults = safeRequire(DEFAULT_CONFIG_FILE, {});
+  const label = path.isAbsolute(source) ? path.relative(process.cwd(), source) || source : source;
+  const errors = [];
+
+  const visit = (value, defaultValue, prefix) => {
+    for (const key of Object.keys(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const rule = CONFIG_RULES[keyPath];
+      const hasDefault = isPlainObject(defaultValue) && Object.prototype.hasOwnProperty.call(defaultValue, key);
+      if (!rule && !hasDefault) {
+        const siblings = Object.keys(defaultValue || {}).concat(Object.keys(CONFIG_RULES)
+          .filter((rulePath) => rulePath.startsWith(prefix ? `${prefix}.` : '') && !rulePath.slice(prefix ? prefix.length + 1 : 0).includes('.'))
+          .map((rulePath) => rulePath.split('.').pop()));
+        const suggestion = suggestKey(key, siblings);
+        console.warn(`[markdown-pdf-m-cli] Unknown configuration key "${keyPath}" in ${label}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        continue;
+      }
+      const problem = checkConfigValue(value[key], rule, hasDefault ? defaultValue[key] : undefined);
+      if (problem) {
+        errors.push(`${keyPath} ${problem}`);
+      } else if (isPlainObject(value[key]) && !rule?.open) {
+        visit(value[key], hasDefault ? defaultValue[key] : {}, keyPath);
+      }
+    }
+  };
+  if (isPlainObject(data)) {
+    visit(data, defaults, '');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${label}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+}
+
+function checkConfigValue(value, rule, defaultValue) {
+  if (value === undefined) {
+    return null;
+  }
+  const types = rule?.types || (defaultValue === undefined ? ['string'] : defaultValue === null ? ['number', 'null'] : [configType(defaultValue)]);
+  const actual = configType(value);
+  if (!types.includes(actual)) {
+    return `must be ${types.map((type) => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')} (got ${JSON.stringify(value)})`;
+  }
+  if (rule?.values) {
+    const items = Array.isArray(value) ? value : rule.list ? String(value).split(',').map((item) => item.trim()) : [value];
+    const normalize = (item) => (rule.ignoreCase ? String(item).toLowerCase() : item);
+    const invalid = items.find((item) => !rule.values.some((allowed) => normalize(allowed) === normalize(item)));
+    if (invalid !== undefined) {
+      return `must be one of ${rule.values.join(', ')} (got ${JSON.stringify(invalid)})`;
+    }
+  }
+  if (actual === 'number' && ((rule?.min !== undefined && value < rule.min) || (rule?.max !== undefined && value > rule.max))) {
+    return rule.max !== undefined
+      ? `must be between ${rule.min} and ${rule.max} (got ${value})`
+      : `must be at least ${rule.min} (got ${value})`;
+  }
+  return null;
+}
+
+function configType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return isPlainObject(value) ? 'object' : typeof value;
+}
+
+/** Prints every setting of the merged configuration with the layer it came from. */
+function printConfig(layers) {
+  const sources = new Map();
+  for (const layer of layers) {
+    const label = path.isAbsolute(layer.source) ? path.relative(process.cwd(), layer.source) || layer.source : layer.source;
+    collectConfigLeaves(layer.data).forEach(([keyPath]) => sources.set(keyPath, label));
+  }
+  for (const [keyPath, value] of collectConfigLeaves(mergeConfigLayers(layers))) {
+    console.log(`${keyPath} = ${JSON.stringify(value)}  (${sources.get(keyPath) || 'defaults'})`);
+  }
+}
+
+function collectConfigLeaves(value, prefix) {
+  if (!isPlainObject(value) || (prefix && Object.keys(value).length === 0)) {
+    return [[prefix, value]];
+  }
+  return Object.keys(value).flatMap((key) => collectConfigLeaves(value[key], prefix ? `${prefix}.${key}` : key));
+}
+
+function resolveTypes(typesFromArgs, configType) {
+  let resolved = [];
+  if (Array.isArray(typesFromArgs) && typesFromArgs.length > 0) {
+    resolved = typesFromArgs;
+  } else if (typeof typesFromArgs === 'string' && typesFromArgs.trim().length > 0) {
+    resolved = typesFromArgs.split(',');
+  } else if (Array.isArray(configType) && configType.length > 0) {
+    resolved = configType.slice();
+  } else if (typeof configType === 'string' && configType.trim().length > 0) {
+    resolved = [configType];
+  }
+
+  if (resolved.length === 0) {
+    resolved = ['pdf'];
+  }
+
+  if (resolved.includes('all')) {
+    resolved = SUPPORTED_TYPES.slice();
+  }
+
+  const normalized = [];
+  for (const raw of resolved) {
+    const value = String(raw).toLowerCase();
+    if (!SUPPORTED_TYPES.includes(value)) {
+      console.warn(`[markdown-pdf-m-cli] Unsupported type ignored: ${value}`);
+      continue;
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+
+  if (normalized.length === 0) {
+    throw new Error('No valid output types were provided.');
+  }
+
+  return normalized;
+}
+
+async function exportDocument(html, inputPath, type, outputDirOverride, config, context) {
+  if (outputDirOverride === STDIO_PATH) {
+    const buffer = await renderDocument(html, type, config, { inputPath, session: context?.session });
+    await writeStdout(buffer);
+    return null;
+  }
+
+  const targetPath = resolveOutputPath(inputPath, type, outputDirOverride, config, context?.relativeDir);
+  ensureDirSync(path.dirname(targetPath));
+
+  await renderDocument(html, type, config, { inputPath, targetPath, session: context?.session });
+
+  logStatus(`[markdown-pdf-m-cli] Saved: ${targetPath}`);
+  return targetPath;
+}
+
+async function renderDocument(html, type, config, options) {
+  const targetPath = options?.targetPath || null;
+  const markdownPdfConfig = config?.markdownPdf || {};
+  html = await embedPlantUml(html, config);
+
+  if (type === 'html') {
+    let output = markdownPdfConfig.mermaid?.prerender && MERMAID_BLOCK_RE.test(html)
+      ? await prerenderMermaid(html, config, options)
+      : html;
+    if (markdownPdfConfig.selfContained) {
+      const baseDirs = [options?.inputPath, targetPath].filter(Boolean).map((file) => path.dirname(file));
+      const roots = [...(targetPath ? [path.dirname(targetPath)] : []), ...(options?.roots || [])];
+      const policy = resolveSecurityPolicy(config, options?.inputPath, roots);
+      output = await inlineHtmlAssets(output, baseDirs.length > 0 ? baseDirs : [process.cwd()], policy);
+    }
+    if (targetPath) {
+      fs.writeFileSync(targetPath, output, 'utf-8');
+    }
+    return Buffer.from(output, 'utf-8');
+  }
+
+  const data = await withDocumentPage(html, type, config, options, async (page) => {
+    await runAsyncHook(config, 'beforePrint', [page, { inputPath: options?.inputPath || null, type, config, targetPath }]);
+    if (type === 'pdf') {
+      const pdf = await printPdf(page, markdownPdfConfig);
+      if (targetPath) {
+        fs.writeFileSync(targetPath, pdf);
+      }
+      return pdf;
+    }
+    const screenshotOptions = buildScreenshotOptions(targetPath, type, markdownPdfConfig);
+    return page.screenshot(screenshotOptions);
+  });
+
+  return Buffer.from(data);
+}
+
+/**
+ * Loads the HTML in a browser page, waits until it is ready to print (network idle
+ * and every Mermaid diagram rendered) and hands the page to `task`.
+ */
+async function withDocumentPage(html, type, config, options, task) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const session = options?.session || createBrowserSession(config);
+  if (markdownPdfConfig.debug) {
+    writeDebugHtml(html, type, markdownPdfConfig.debug, options);
+  }
+
+  // The HTML is written into a file:// page of the input's directory instead of a temp file,
+  // so relative and local URLs resolve as they would on disk and nothing lands in the output tree.
+  const baseUrl = pathToFileURL(path.join(resolvePageBaseDir(options?.inputPath), path.sep)).toString();
+  const policy = resolveSecurityPolicy(config, options?.inputPath, [fileURLToPath(baseUrl), ...(options?.roots || [])]);
+  const blocked = [];
+  const renderConfig = isPlainObject(markdownPdfConfig.render) ? markdownPdfConfig.render : {};
+  const timeout = toNumber(renderConfig.timeout, DEFAULT_RENDER_TIMEOUT);
+  const label = options?.inputPath ? path.basename(options.inputPath) : 'the document';
+  try {
+    return await session.withPage((page) => withTimeout((async () => {
+      await page.setDefaultTimeout(timeout);
+      await applyRequestPolicy(page, policy, blocked);
+      await page.goto(baseUrl, { waitUntil: 'domcontentloaded' });
+      await page.setContent(html, { waitUntil: resolveWaitUntil(renderConfig.waitUntil) });
+      await waitForRenderReady(page, renderConfig);
+      await waitForMermaid(page, markdownPdfConfig);
+      return task(page);
+    })(), timeout, `Rendering ${label} timed out after ${timeout} ms (markdownPdf.render.timeout).`), { signal: options?.signal });
+  } finally {
+    if (!options?.session) {
+      await session.close();
+    }
+    reportBlockedRequests(options?.inputPath, blocked);
+    if (Array.isArray(options?.blocked)) {
+      options.blocked.push(...blocked);
+    }
+  }
+}
+
+function resolvePageBaseDir(inputPath) {
+  const dir = inputPath ? path.dirname(inputPath) : process.cwd();
+  return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? dir : os.tmpdir();
+}
+
+/**
+ * Dumps the HTML handed to the browser. `debug` is a directory, or true for the output
+ * directory (the system temp directory when there is no output file).
+ */
+function writeDebugHtml(html, type, debug, options) {
+  const inputPath = options?.inputPath;
+  const name = inputPath ? path.basename(inputPath, path.extname(inputPath)) : 'document';
+  const dir = typeof debug === 'string' && debug.trim()
+    ? path.resolve(debug.trim())
+    : options?.targetPath ? path.dirname(options.targetPath) : path.join(os.tmpdir(), 'markdown-pdf-m-debug');
+  ensureDirSync(dir);
+  const file = path.join(dir, `${name}.${type}.debug.html`);
+  fs.writeFileSync(file, html, 'utf-8');
+  logStatus(`[markdown-pdf-m-cli] Intermediate HTML written to ${file}`);
+}
+
+function resolveWaitUntil(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'networkidle0';
+  }
+  if (!WAIT_UNTIL_EVENTS.includes(value)) {
+    throw new Error(`Invalid markdownPdf.render.waitUntil: ${value} (expected ${WAIT_UNTIL_EVENTS.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Applies the extra wait conditions of markdownPdf.render once the page has loaded:
+ * a selector to appear, a page expression to become truthy, then a fixed delay.
+ */
+async function waitForRenderReady(page, renderConfig) {
+  const selector = pickFirstNonEmptyString(renderConfig.waitForSelector);
+  if (selector) {
+    await page.waitForSelector(selector);
+  }
+  const expression = pickFirstNonEmptyString(renderConfig.waitForFunction);
+  if (expression) {
+    await page.waitForFunction(expression);
+  }
+  const delay = toNumber(renderConfig.delay, 0);
+  if (delay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+async function waitForMermaid(page, markdownPdfConfig) {
+  const timeout = toNumber(markdownPdfConfig.mermaid?.timeout, DEFAULT_MERMAID_TIMEOUT);
+  const errors = await withTimeout(
+    page.evaluate(() => window.__markdownPdfMermaid || []),
+    timeout,
+    `Timed out after ${timeout} ms waiting for Mermaid diagrams to render.`
+  );
+  if (errors.length > 0) {
+    const details = errors
+      .map((error) => `diagram ${error.index}${error.line ? ` (line ${error.line})` : ''}: ${error.message}`)
+      .join('; ');
+    throw new Error(`Mermaid rendering failed: ${details}`);
+  }
+}
+
+/**
+ * Resolves markdownPdf.security for one document. File access, when confined, is limited
+ * to the document's directory tree, the package itself, configured stylesheets, the
+ * Mermaid runtime and `extraRoots` (e.g. the server's allowed directories).
+ */
+function resolveSecurityPolicy(config, inputPath, extraRoots) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const security = isPlainObject(markdownPdfConfig.security) ? markdownPdfConfig.security : {};
+  const roots = [__dirname, ...(extraRoots || [])];
+  if (inputPath) {
+    roots.push(path.dirname(inputPath), ...collectStyleFiles(inputPath, config));
+  }
+  const mermaidPath = pickFirstNonEmptyString(markdownPdfConfig.mermaid?.path);
+  if (mermaidPath) {
+    roots.push(path.resolve(process.cwd(), mermaidPath));
+  } else {
+    try {
+      // The bundled runtime may be hoisted out of the package directory.
+      roots.push(require.resolve('mermaid/dist/mermaid.min.js'));
+    } catch (_) {
+      // Not installed; the page falls back to mermaidServer.
+    }
+  }
+  return {
+    network: NETWORK_POLICIES.includes(security.network) ? security.network : 'any',
+    allowedHosts: Array.isArray(security.allowedHosts) ? security.allowedHosts.map((host) => String(host).trim().toLowerCase()) : [],
+    confineFiles: security.confineFiles === true,
+    roots
+  };
+}
+
+/**
+ * Returns why `requestUrl` is blocked by the policy, or null when it may load.
+ */
+function findBlockReason(requestUrl, policy) {
+  let parsed;
+  try {
+    parsed = new URL(requestUrl);
+  } catch (_) {
+    return null;
+  }
+  switch (parsed.protocol) {
+    case 'data:':
+    case 'blob:':
+    case 'about:':
+      return null;
+    case 'file:': {
+      if (!policy.confineFiles) {
+        return null;
+      }
+      let file;
+      try {
+        file = fileURLToPath(`file://${parsed.host}${parsed.pathname}`);
+      } catch (_) {
+        return 'invalid file URL';
+      }
+      return policy.roots.some((root) => isInsideDir(file, root)) ? null : 'outside the document directory';
+    }
+    default:
+      if (policy.network === 'any') {
+        return null;
+      }
+      if (policy.network === 'allowlist' && isAllowedHost(parsed.hostname, policy.allowedHosts)) {
+        return null;
+      }
+      return policy.network === 'offline' ? 'network access is disabled' : `host ${parsed.hostname} is not allowed`;
+  }
+}
+
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((pattern) => {
+    return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+  });
+}
+
+/**
+ * Intercepts the page's requests when the policy restricts anything and aborts the
+ * blocked ones, recording them in `blocked`.
+ */
+async function applyRequestPolicy(page, policy, blocked) {
+  if (policy.network === 'any' && !policy.confineFiles) {
+    return;
+  }
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    const reason = findBlockReason(request.url(), policy);
+    const handled = reason ? request.abort('blockedbyclient') : request.continue();
+    if (reason) {
+      blocked.push({ url: request.url(), reason });
+    }
+    Promise.resolve(handled).catch(() => {});
+  });
+}
+
+function reportBlockedRequests(inputPath, blocked) {
+  const unique = new Map(blocked.map((entry) => [entry.url, entry.reason]));
+  if (unique.size === 0) {
+    return;
+  }
+  const label = inputPath ? path.basename(inputPath) : 'the document';
+  console.warn(`[markdown-pdf-m-cli] Blocked ${unique.size} request(s) while rendering ${label}:`);
+  for (const [requestUrl, reason] of unique) {
+    const shown = requestUrl.length > 200 ? `${requestUrl.slice(0, 200)}...` : requestUrl;
+    console.warn(`  - ${shown} (${reason})`);
+  }
+}
+
+/**
+ * Renders the diagrams in a browser and replaces each `.mermaid` block with its
+ * SVG, so the HTML output works without the Mermaid runtime or JavaScript.
+ */
+async function prerenderMermaid(html, config, options) {
+  const pageOptions = {
+    session: options?.session,
+    inputPath: options?.inputPath,
+    blocked: options?.blocked,
+    roots: options?.roots,
+    signal: options?.signal
+  };
+  const svgs = await withDocumentPage(html, 'html', config, pageOptions, (page) => {
+    return page.evaluate(() => Array.from(document.querySelectorAll('.mermaid')).map((element) => element.innerHTML));
+  });
+  const $ = cheerio.load(html);
+  $('.mermaid').each((index, element) => {
+    $(element).html(svgs[index] || '').attr('data-processed', 'true');
+  });
+  $('script[data-markdown-pdf-mermaid]').remove();
+  return $.html();
+}
+
+/**
+ * Turns HTML output into one portable file: images, stylesheets (with the fonts and
+ * images they reference) and scripts are embedded, whether local or remote. Relative
+ * references are tried against each of `baseDirs`. Assets that cannot be read stay
+ * linked and are reported.
+ */
+async function inlineHtmlAssets(html, baseDirs, policy) {
+  const $ = cheerio.load(html);
+  const sizes = { images: 0, stylesheets: 0, scripts: 0 };
+  const failures = [];
+  const load = async (ref, bases) => {
+    try {
+      return await readAsset(ref, bases, policy);
+    } catch (error) {
+      failures.push(`${ref}: ${error.message}`);
+      return null;
+    }
+  };
+
+  for (const element of $('img[src]').toArray()) {
+    const asset = /^data:/i.test($(element).attr('src')) ? null : await load($(element).attr('src'), baseDirs);
+    if (asset) {
+      const uri = toDataUri(asset);
+      $(element).attr('src', uri);
+      sizes.images += uri.length;
+    }
+  }
+
+  for (const element of $('link[rel="stylesheet"][href]').toArray()) {
+    const asset = await load($(element).attr('href'), baseDirs);
+    if (asset) {
+      const css = await inlineCssUrls(asset.data.toString('utf-8'), [assetBase(asset.location)], load);
+      $(element).replaceWith(`<style>\n${css}\n</style>`);
+      sizes.stylesheets += css.length;
+    }
+  }
+
+  for (const element of $('style').toArray()) {
+    const css = $(element).html();
+    if (/url\(/i.test(css)) {
+      $(element).replaceWith(`<style>\n${await inlineCssUrls(css, baseDirs, load)}\n</style>`);
+    }
+  }
+
+  for (const element of $('script[src]').toArray()) {
+    const asset = await load($(element).attr('src'), baseDirs);
+    if (asset) {
+      const code = asset.data.toString('utf-8').replace(/<\/script/gi, '<\\/script');
+      const attributes = Object.entries(element.attribs)
+        .filter(([name]) => name !== 'src')
+        .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${value.replace(/"/g, '&quot;')}"`))
+        .join('');
+      $(element).replaceWith(`<script${attributes}>${code}</script>`);
+      sizes.scripts += code.length;
+    }
+  }
+
+  const result = $.html();
+  failures.forEach((failure) => console.warn(`[markdown-pdf-m-cli] Could not inline ${failure}`));
+  logStatus(`[markdown-pdf-m-cli] Self-contained HTML: ${formatBytes(Buffer.byteLength(result))} `
+    + `(images ${formatBytes(sizes.images)}, stylesheets ${formatBytes(sizes.stylesheets)}, scripts ${formatBytes(sizes.scripts)})`
+    + (failures.length > 0 ? `, ${failures.length} asset(s) left linked` : ''));
+  return result;
+}
+
+async function inlineCssUrls(css, bases, load) {
+  const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+  const refs = [...new Set([...css.matchAll(pattern)].map((match) => match[2].trim()))]
+    .filter((ref) => !/^(data:|#)/i.test(ref));
+  const uris = new Map();
+  for (const ref of refs) {
+    const asset = await load(ref, bases);
+    if (asset) {
+      uris.set(ref, toDataUri(asset));
+    }
+  }
+  return css.replace(pattern, (match, quote, ref) => (uris.has(ref.trim()) ? `url("${uris.get(ref.trim())}")` : match));
+}
+
+/**
+ * Reads a local or remote asset. `bases` are directories or URLs that relative
+ * references resolve against, tried in order.
+ */
+async function readAsset(ref, bases, policy) {
+  const href = ref.startsWith('//') ? `https:${ref}` : ref;
+  const allowed = (location) => {
+    const reason = policy ? findBlockReason(location, policy) : null;
+    if (reason) {
+      throw new Error(`blocked (${reason})`);
+    }
+    return location;
+  };
+  if (/^https?:/i.test(href)) {
+    return fetchAsset(allowed(href));
+  }
+  if (/^file:/i.test(href)) {
+    return readLocalAsset(fileURLToPath(allowed(href)));
+  }
+
+  const relative = safeDecodeURIComponent(href.replace(/[?#].*$/, ''));
+  for (const base of bases) {
+    if (/^https?:/i.test(base)) {
+      return fetchAsset(allowed(new URL(href, base).toString()));
+    }
+    const candidate = path.resolve(base, relative);
+    if (fs.existsSync(candidate)) {
+      allowed(pathToFileURL(candidate).toString());
+      return readLocalAsset(candidate);
+    }
+  }
+  throw new Error('file not found');
+}
+
+function readLocalAsset(file) {
+  return {
+    data: fs.readFileSync(file),
+    type: MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    location: file
+  };
+}
+
+async function fetchAsset(assetUrl) {
+  const response = await fetch(assetUrl, { signal: AbortSignal.timeout(DEFAULT_ASSET_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`server responded with ${response.status} ${response.statusText}`);
+  }
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  return {
+    data: Buffer.from(await response.arrayBuffer()),
+    type: contentType || MIME_TYPES[path.extname(new URL(assetUrl).pathname).toLowerCase()] || 'application/octet-stream',
+    location: assetUrl
+  };
+}
+
+function assetBase(location) {
+  return /^https?:/i.test(location) ? location : path.dirname(location);
+}
+
+function toDataUri(asset) {
+  return `data:${asset.type};base64,${asset.data.toString('base64')}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function resolvePlantUmlConfig(markdownPdfConfig) {
+  const plantumlConfig = isPlainObject(markdownPdfConfig.plantuml) ? markdownPdfConfig.plantuml : {};
+  const format = String(plantumlConfig.format || 'svg').toLowerCase();
+  if (format !== 'svg' && format !== 'png') {
+    throw new Error(`Unsupported PlantUML format "${plantumlConfig.format}". Use "svg" or "png".`);
+  }
+  const cacheDir = pickFirstNonEmptyString(plantumlConfig.cacheDir);
+  return {
+    embed: Boolean(plantumlConfig.embed),
+    format,
+    cacheDir: cacheDir ? path.resolve(process.cwd(), cacheDir) : DEFAULT_PLANTUML_CACHE_DIR,
+    timeout: toNumber(plantumlConfig.timeout, DEFAULT_PLANTUML_TIMEOUT)
+  };
+}
+
+/**
+ * With `plantuml.embed` on, replaces each PlantUML image with the diagram itself
+ * (inline SVG, or a PNG data URI) so the output no longer depends on `plantumlServer`.
+ */
+async function embedPlantUml(html, config) {
+  const plantumlConfig = resolvePlantUmlConfig(config?.markdownPdf || {});
+  if (!plantumlConfig.embed || !html.includes('data-plantuml-line=')) {
+    return html;
+  }
+
+  const policy = resolveSecurityPolicy(config);
+  const $ = cheerio.load(html);
+  for (const element of $('img[data-plantuml-line]').toArray()) {
+    const image = $(element);
+    const reason = findBlockReason(image.attr('src'), policy);
+    if (reason) {
+      throw new Error(`Cannot embed PlantUML diagrams from ${new URL(image.attr('src')).origin}: ${reason}. Allow the host in markdownPdf.security.`);
+    }
+    const data = await fetchPlantUml(image.attr('src'), plantumlConfig, {
+      file: image.attr('data-plantuml-file'),
+      line: Number(image.attr('data-plantuml-line'))
+    });
+    if (plantumlConfig.format === 'svg') {
+      const svg = data.toString('utf-8').replace(/^\s*<\?xml[^>]*\?>\s*/, '');
+      image.replaceWith(`<div class="plantuml">${svg}</div>`);
+    } else {
+      image
+        .attr('src', `data:image/png;base64,${data.toString('base64')}`)
+        .removeAttr('data-plantuml-file')
+        .removeAttr('data-plantuml-line');
+    }
+  }
+  return $.html();
+}
+
+/**
+ * Fetches a rendered diagram, caching it on disk. The cache key hashes the encoded
+ * diagram source (the last segment of the server URL), so changing servers keeps hits.
+ */
+async function fetchPlantUml(diagramUrl, plantumlConfig, location) {
+  const encoded = diagramUrl.slice(diagramUrl.lastIndexOf('/') + 1);
+  const key = crypto.createHash('sha256').update(`${plantumlConfig.format}\n${encoded}`).digest('hex');
+  const cacheFile = path.join(plantumlConfig.cacheDir, `${key}.${plantumlConfig.format}`);
+  if (fs.existsSync(cacheFile)) {
+    return fs.readFileSync(cacheFile);
+  }
+
+  const where = `${location.file}:${location.line}`;
+  let response;
+  try {
+    response = await fetch(diagramUrl, plantumlConfig.timeout > 0 ? { signal: AbortSignal.timeout(plantumlConfig.timeout) } : {});
+  } catch (error) {
+    throw new Error(`PlantUML diagram at ${where} could not be fetched from ${diagramUrl}: ${error.message}`);
+  }
+  if (!response.ok) {
+    // PlantUML servers describe syntax errors in headers; the line is relative to @startuml.
+    const detail = response.headers.get('x-plantuml-diagram-error');
+    const errorLine = Number(response.headers.get('x-plantuml-diagram-error-line'));
+    if (detail) {
+      const line = errorLine > 0 ? location.line + errorLine - 1 : location.line;
+      throw new Error(`PlantUML diagram at ${location.file}:${line} failed to render: ${detail}`);
+    }
+    throw new Error(`PlantUML diagram at ${where} failed to render: server responded with ${response.status} ${response.statusText}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  ensureDirSync(plantumlConfig.cacheDir);
+  fs.writeFileSync(cacheFile, data);
+  return data;
+}
+
+/**
+ * Loads the module named by `markdownPdf.hooks`. It may export any of HOOK_NAMES;
+ * beforeMarkdown, extendMarkdownIt and afterHtml run synchronously, beforePrint may be async.
+ */
+function loadHooks(config) {
+  const hooksPath = pickFirstNonEmptyString(config?.markdownPdf?.hooks);
+  if (!hooksPath) {
+    return null;
+  }
+  const file = path.resolve(process.cwd(), hooksPath);
+  const modified = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+  if (loadedHooks.get(file)?.modified !== modified) {
+    // Reload after edits so watch mode picks up changes to the hooks file.
+    delete require.cache[file];
+    let exported;
+    try {
+      exported = require(file);
+    } catch (error) {
+      throw new Error(`Failed to load hooks file ${file}: ${error.message}`);
+    }
+    if (!exported || (typeof exported !== 'object' && typeof exported !== 'function')) {
+      throw new Error(`Hooks file ${file} must export an object with ${HOOK_NAMES.join(', ')}.`);
+    }
+    Object.keys(exported)
+      .filter((name) => !HOOK_NAMES.includes(name))
+      .forEach((name) => console.warn(`[markdown-pdf-m-cli] Ignoring unknown hook "${name}" in ${file}. Supported hooks: ${HOOK_NAMES.join(', ')}.`));
+    loadedHooks.set(file, { file, modified, hooks: exported });
+  }
+  return loadedHooks.get(file);
+}
+
+function hasHook(config, name) {
+  const loaded = loadHooks(config);
+  return Boolean(loaded) && typeof loaded.hooks[name] === 'function';
+}
+
+function runHook(config, name, args) {
+  if (!hasHook(config, name)) {
+    return undefined;
+  }
+  const { file, hooks } = loadHooks(config);
+  let result;
+  try {
+    result = hooks[name](...args);
+  } catch (error) {
+    throw hookError(file, name, args[args.length - 1], error);
+  }
+  if (result && typeof result.then === 'function') {
+    throw new Error(`Hook "${name}" in ${file} returned a promise; it runs synchronously and cannot be async.`);
+  }
+  return result;
+}
+
+async function runAsyncHook(config, name, args) {
+  if (!hasHook(config, name)) {
+    return undefined;
+  }
+  const { file, hooks } = loadHooks(config);
+  try {
+    return await hooks[name](...args);
+  } catch (error) {
+    throw hookError(file, name, args[args.length - 1], error);
+  }
+}
+
+function hookError(file, name, ctx, error) {
+  const target = ctx?.inputPath ? ` for ${path.basename(ctx.inputPath)}` : '';
+  const message = error && error.message ? error.message : String(error);
+  return new Error(`Hook "${name}" in ${file} failed${target}: ${message}`, { cause: error });
+}
+
+function withTimeout(promise, timeout, message) {
+  if (!(timeout > 0)) {
+    return promise;
+  }
+  let timer = null;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(message instanceof Error ? message : new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Registers work to run if the CLI is interrupted; returns a function that unregisters it.
+ */
+function registerCleanup(task) {
+  cleanupTasks.add(task);
+  return () => cleanupTasks.delete(task);
+}
+
+async function runCleanupTasks() {
+  const tasks = Array.from(cleanupTasks);
+  cleanupTasks.clear();
+  await Promise.allSettled(tasks.map(async (task) => task()));
+}
+
+/**
+ * Runs the registered cleanup (browsers, watcher, server) on SIGINT / SIGTERM before exiting.
+ */
+function handleInterrupts() {
+  if (interruptsHandled) {
+    return;
+  }
+  interruptsHandled = true;
+  const onSignal = async (signal) => {
+    logStatus(`[markdown-pdf-m-cli] ${signal} received, cleaning up ...`);
+    await withTimeout(runCleanupTasks(), CLEANUP_TIMEOUT, 'cleanup timed out').catch(() => {});
+    process.exit(stopIsShutdown ? 0 : signal === 'SIGINT' ? 130 : 143);
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+}
+
+/**
+ * Shared Chromium instance for a whole run. The browser is resolved through
+ * ensureChromium and launched on first use only, so html-only runs never start it.
+ * At most `markdownPdf.concurrency` pages are open at the same time. With
+ * `options.browser` the session uses that browser instead and never launches or closes one.
+ */
+function createBrowserSession(config, options) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const sharedBrowser = options?.browser || null;
+  const concurrency = resolveConcurrency(markdownPdfConfig.concurrency);
+  const waiting = [];
+  let activePages = 0;
+  let browserPromise = null;
+
+  async function launchBrowser() {
+    const puppeteerVariant = resolvePuppeteerVariant(markdownPdfConfig);
+    const executablePath = await ensureChromium(markdownPdfConfig, config, puppeteerVariant);
+    const sandboxArgs = markdownPdfConfig.browser?.sandbox === true ? [] : ['--no-sandbox', '--disable-setuid-sandbox'];
+    const launchOptions = {
+      executablePath,
+      args: [`--lang=${detectLanguage(config)}`, ...sandboxArgs]
+    };
+    const retries = Math.max(0, Math.floor(toNumber(markdownPdfConfig.browser?.launchRetries, DEFAULT_LAUNCH_RETRIES)));
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await puppeteerVariant.module.launch(launchOptions);
+      } catch (error) {
+        if (attempt >= retries) {
+          throw new Error(`Unable to launch the browser at ${executablePath}${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}: ${error.message}`);
+        }
+        console.warn(`[markdown-pdf-m-cli] Browser launch failed (${error.message}); retrying (${attempt + 1}/${retries})`);
+        await new Promise((resolve) => setTimeout(resolve, LAUNCH_RETRY_DELAY * (attempt + 1)));
+      }
+    }
+  }
+
+  function getBrowser() {
+    if (sharedBrowser) {
+      return Promise.resolve(sharedBrowser);
+    }
+    if (!browserPromise) {
+      const launching = launchBrowser().then((browser) => {
+        const unregister = registerCleanup(() => closeBrowser(browser));
+        // A crashed browser is relaunched by the next page instead of failing every later render.
+        browser.once('disconnected', () => {
+          unregister();
+          if (browserPromise === launching) {
+            browserPromise = null;
+          }
+        });
+        return browser;
+      }, (error) => {
+        browserPromise = null;
+        throw error;
+      });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  }
+
+  async function acquirePage(signal) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    if (activePages < concurrency) {
+      activePages += 1;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(grant), 1);
+        reject(signal.reason);
+      };
+      const grant = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      };
+      waiting.push(grant);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  function releasePage() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      activePages -= 1;
+    }
+  }
+
+  /**
+   * Runs `task` with a fresh page once a slot is free. Aborting `options.signal` drops a
+   * queued task, or closes the page of a running one and frees its slot right away.
+   */
+  async function withPage(task, options) {
+    const signal = options?.signal;
+    await acquirePage(signal);
+    let page = null;
+    let released = false;
+    const release = async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      if (page) {
+        await withTimeout(page.close(), BROWSER_CLOSE_TIMEOUT, 'page.close() timed out').catch(() => {});
+      }
+      releasePage();
+    };
+    if (signal) {
+      signal.addEventListener('abort', release, { once: true });
+    }
+    try {
+      if (signal) {
+        // The slot may have been handed over after the request already gave up.
+        signal.throwIfAborted();
+      }
+      const browser = await getBrowser();
+      const opened = await browser.newPage();
+      if (released) {
+        // Aborted while the page was opening.
+        await withTimeout(opened.close(), BROWSER_CLOSE_TIMEOUT, 'page.close() timed out').catch(() => {});
+        throw signal.reason;
+      }
+      page = opened;
+      return await task(page);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', release);
+      }
+      await release();
+    }
+  }
+
+  async function close() {
+    if (!browserPromise) {
+      return;
+    }
+    const pending = browserPromise;
+    browserPromise = null;
+    try {
+      await closeBrowser(await pending);
+    } catch (_) {
+      // launch failures are reported by the render that triggered them
+    }
+  }
+
+  return { concurrency, getBrowser, withPage, close };
+}
+
+/**
+ * Closes a browser, killing its process when it does not shut down in time.
+ */
+async function closeBrowser(browser) {
+  try {
+    await withTimeout(browser.close(), BROWSER_CLOSE_TIMEOUT, 'browser.close() timed out');
+  } catch (_) {
+    const child = typeof browser.process === 'function' ? browser.process() : null;
+    if (child && child.exitCode === null) {
+      child.kill('SIGKILL');
+    }
+  }
+}
+
+function resolveConcurrency(value) {
+  const num = Math.floor(toNumber(value, 1));
+  return num >= 1 ? num : 1;
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i += 1) {
+    runners.push((async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    })());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Prints the page, fills in the table of contents page numbers and adds the outline.
+ * Chromium writes a named destination for each element id that a link in the document
+ * points to, so the TOC targets and outline headings are linked from a hidden block and
+ * both use where the headings were actually printed.
+ */
+async function printPdf(page, markdownPdfConfig) {
+  const pdfOptions = buildPdfOptions(null, markdownPdfConfig);
+  const tocTargets = await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('.toc-page[data-toc-target]'))
+      .map((element) => element.getAttribute('data-toc-target'));
+  });
+  const headings = markdownPdfConfig.outline ? await collectOutlineHeadings(page, markdownPdfConfig) : [];
+  if (tocTargets.length === 0 && headings.length === 0) {
+    return Buffer.from(await page.pdf(pdfOptions));
+  }
+  await linkDestinations(page, [...new Set([...tocTargets, ...headings.map((heading) => heading.id)])]);
+  let pdf = Buffer.from(await page.pdf(pdfOptions));
+  let destinations = await readPdfDestinations(pdf);
+  if (tocTargets.length > 0) {
+    ({ pdf, destinations } = await fillTocPageNumbers(page, pdfOptions, tocTargets, { pdf, destinations }));
+  }
+  if (headings.length === 0) {
+    return pdf;
+  }
+  return addPdfOutline(pdf, await locateOutline(page, markdownPdfConfig, headings, destinations));
+}
+
+/**
+ * Writes the page numbers of the printed PDF's destinations into the table of contents
+ * and prints again. The numbers can reflow the TOC and push the headings after it, so
+ * this repeats until the printed numbers match the destinations. If they do not settle,
+ * or the PDF has no destinations, the TOC is printed with its links only.
+ */
+async function fillTocPageNumbers(page, pdfOptions, targets, printed) {
+  const fill = (values) => page.evaluate((numbers) => {
+    document.querySelectorAll('.toc-page[data-toc-target]').forEach((element, index) => {
+      element.textContent = numbers[index];
+    });
+  }, values);
+  if (!targets.some((target) => printed.destinations.has(target))) {
+    console.warn('[markdown-pdf-m-cli] The PDF has no link destinations to read the table of contents page numbers from; they are left out.');
+    return printed;
+  }
+
+  let { pdf, destinations } = printed;
+  let shown = null;
+  for (let pass = 0; pass <= TOC_PRINT_PASSES; pass += 1) {
+    const numbers = targets.map((target) => (destinations.has(target) ? String(destinations.get(target).page) : ''));
+    if (shown && numbers.every((number, index) => number === shown[index])) {
+      return { pdf, destinations };
+    }
+    if (pass === TOC_PRINT_PASSES) {
+      break;
+    }
+    await fill(numbers);
+    shown = numbers;
+    pdf = Buffer.from(await page.pdf(pdfOptions));
+    destinations = await readPdfDestinations(pdf);
+  }
+
+  console.warn(`[markdown-pdf-m-cli] The table of contents page numbers did not settle after ${TOC_PRINT_PASSES} prints; they are left out.`);
+  await fill(targets.map(() => ''));
+  pdf = Buffer.from(await page.pdf(pdfOptions));
+  return { pdf, destinations: await readPdfDestinations(pdf) };
+}
+
+/**
+ * Reads the headings with ids (as assigned by applyHeadingIds) from the page that
+ * belong in the PDF outline.
+ */
+async function collectOutlineHeadings(page, markdownPdfConfig) {
+  const [minLevel, maxLevel] = parseLevelRange(markdownPdfConfig.outlineLevels, DEFAULT_OUTLINE_LEVELS);
+  return page.evaluate((min, max) => {
+    return Array.from(document.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'))
+      .map((element) => ({
+        id: element.id,
+        level: Number(element.tagName.slice(1)),
+        text: element.textContent.replace(/\s+/g, ' ').trim()
+      }))
+      .filter((heading) => heading.level >= min && heading.level <= max && heading.text);
+  }, minLevel, maxLevel);
+}
+
+/**
+ * Links the given ids from a hidden block at the end of the body so that the printed
+ * PDF has a named destination for each of them.
+ */
+async function linkDestinations(page, ids) {
+  await page.evaluate((targets) => {
+    const holder = document.createElement('div');
+    holder.hidden = true;
+    holder.setAttribute('data-markdown-pdf-destinations', '');
+    for (const id of targets) {
+      const link = document.createElement('a');
+      link.setAttribute('href', `#${id}`);
+      holder.appendChild(link);
+    }
+    document.body.appendChild(holder);
+  }, ids);
+}
+
+/**
+ * Places the outline headings at their named destinations in the printed PDF. When the
+ * PDF has none (older Chromium builds such as the one of the legacy runtime may not
+ * write them), the headings are placed by the layout estimate of measureHeadingPages.
+ */
+async function locateOutline(page, markdownPdfConfig, headings, destinations) {
+  if (headings.some((heading) => destinations.has(heading.id))) {
+    return headings
+      .filter((heading) => destinations.has(heading.id))
+      .map((heading) => ({ ...heading, ...destinations.get(heading.id) }));
+  }
+
+  const positions = await measureHeadingPages(page, markdownPdfConfig, headings.map((heading) => heading.id));
+  const layout = computePrintLayout(markdownPdfConfig);
+  return headings
+    .filter((heading) => positions[heading.id])
+    .map((heading) => ({
+      ...heading,
+      page: positions[heading.id].page,
+      // PDF points from the top edge of the sheet.
+      top: (layout.marginTop + positions[heading.id].offset * layout.scale) * 0.75
+    }));
+}
+
+/**
+ * Reads the named destinations of a PDF, from the catalog's `Dests` dictionary and the
+ * `Dests` name tree. Returns a Map from the (decoded) name to its 1-based page number
+ * and its position in PDF points from the top edge of that page.
+ */
+async function readPdfDestinations(data) {
+  const pdfDoc = await PDFDocument.load(data, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const pageNumbers = new Map(pages.map((pdfPage, index) => [pdfPage.ref.toString(), index + 1]));
+  const destinations = new Map();
+
+  const add = (name, value) => {
+    let dest = value instanceof PDFRef ? pdfDoc.context.lookup(value) : value;
+    if (dest instanceof PDFDict) {
+      dest = dest.lookup(PDFName.of('D'));
+    }
+    if (!(dest instanceof PDFArray) || dest.size() === 0) {
+      return;
+    }
+    const pageNumber = pageNumbers.get(dest.get(0).toString());
+    if (!pageNumber || destinations.has(name)) {
+      return;
+    }
+    // [page /XYZ left top zoom]; other fit types point at the top of the page.
+    const top = dest.size() > 3 ? dest.lookup(3) : null;
+    destinations.set(name, {
+      page: pageNumber,
+      top: top instanceof PDFNumber ? Math.max(0, pages[pageNumber - 1].getHeight() - top.asNumber()) : 0
+    });
+  };
+  // Chromium writes the fragment as UTF-8 bytes, possibly percent-encoded.
+  const decodeName = (bytes) => safeDecodeURIComponent(Buffer.from(bytes).toString('utf8'));
+
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [key, value] of dests.entries()) {
+      add(decodeName(key.asBytes()), value);
+    }
+  }
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const visit = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > 32) {
+      return;
+    }
+    const pairs = node.lookup(PDFName.of('Names'));
+    if (pairs instanceof PDFArray) {
+      for (let index = 0; index + 1 < pairs.size(); index += 2) {
+        const key = pairs.lookup(index);
+        if (key instanceof PDFString || key instanceof PDFHexString) {
+          add(decodeName(key.asBytes()), pairs.get(index + 1));
+        }
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let index = 0; index < kids.size(); index += 1) {
+        visit(kids.lookup(index), depth + 1);
+      }
+    }
+  };
+  visit(names instanceof PDFDict ? names.lookup(PDFName.of('Dests')) : null, 0);
+  return destinations;
+}
+
+async function addPdfOutline(data, headings) {
+  const pdfDoc = await PDFDocument.load(data);
+  if (headings.length === 0) {
+    return Buffer.from(data);
+  }
+
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const root = { ref: context.nextRef(), children: [], level: 0 };
+  const stack = [root];
+  for (const heading of headings) {
+    while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    const node = { ...heading, ref: context.nextRef(), children: [], parent: stack[stack.length - 1] };
+    node.parent.children.push(node);
+    stack.push(node);
+  }
+
+  const countDescendants = (node) => node.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+  const writeChildren = (parent) => {
+    parent.children.forEach((node, index) => {
+      const pdfPage = pages[Math.min(node.page, pages.length) - 1];
+      const entry = {
+        Title: PDFHexString.fromText(node.text),
+        Parent: parent.ref,
+        Dest: [pdfPage.ref, 'XYZ', null, Math.max(0, pdfPage.getHeight() - node.top), null]
+      };
+      if (index > 0) {
+        entry.Prev = parent.children[index - 1].ref;
+      }
+      if (index < parent.children.length - 1) {
+        entry.Next = parent.children[index + 1].ref;
+      }
+      if (node.children.length > 0) {
+        entry.First = node.children[0].ref;
+        entry.Last = node.children[node.children.length - 1].ref;
+        entry.Count = countDescendants(node);
+      }
+      context.assign(node.ref, context.obj(entry));
+      writeChildren(node);
+    });
+  };
+  writeChildren(root);
+
+  context.assign(root.ref, context.obj({
+    Type: 'Outlines',
+    First: root.children[0].ref,
+    Last: root.children[root.children.length - 1].ref,
+    Count: countDescendants(root)
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), root.ref);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Estimates the PDF page (and the offset within its printable area) each element id lands on. The document is laid out with
+ * print media at the printable width and split into pages of the printable height,
+ * honouring forced page breaks. The result is approximate: Chromium may still move
+ * content to the next page (e.g. to avoid splitting an image or a line box).
+ */
+async function measureHeadingPages(page, markdownPdfConfig, ids) {
+  const layout = computePrintLayout(markdownPdfConfig);
+  await page.emulateMediaType('print');
+  await page.setViewport({
+    width: Math.max(1, Math.floor(layout.width)),
+    height: Math.max(1, Math.floor(layout.height))
+  });
+
+  return page.evaluate((targetIds, pageHeight) => {
+    const forced = ['always', 'page', 'left', 'right'];
+    const breaks = [];
+    document.querySelectorAll('body *').forEach((element) => {
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      if (forced.includes(style.breakBefore) || forced.includes(style.pageBreakBefore)) {
+        breaks.push(rect.top + window.scrollY);
+      }
+      if (forced.includes(style.breakAfter) || forced.includes(style.pageBreakAfter)) {
+        breaks.push(rect.bottom + window.scrollY);
+      }
+    });
+    breaks.sort((a, b) => a - b);
+
+    const locate = (y) => {
+      let pageNumber = 1;
+      let start = 0;
+      for (const position of breaks) {
+        if (position > y) {
+          break;
+        }
+        if (position > start) {
+          pageNumber += Math.ceil((position - start) / pageHeight);
+          start = position;
+        }
+      }
+      const pagesAfterBreak = Math.floor((y - start) / pageHeight);
+      return { page: pageNumber + pagesAfterBreak, offset: y - start - pagesAfterBreak * pageHeight };
+    };
+
+    const result = {};
+    for (const id of targetIds) {
+      const element = document.getElementById(id);
+      if (element) {
+        result[id] = locate(element.getBoundingClientRect().top + window.scrollY);
+      }
+    }
+    return result;
+  }, ids, layout.height);
+}
+
+function computePrintLayout(markdownPdfConfig) {
+  const options = buildPdfOptions(null, markdownPdfConfig);
+  const size = options.format
+    ? PAPER_FORMATS[String(options.format).toLowerCase()] || PAPER_FORMATS.a4
+    : [8.5, 11];
+  let width = options.format ? size[0] * 96 : toPixels(options.width, size[0] * 96);
+  let height = options.format ? size[1] * 96 : toPixels(options.height, size[1] * 96);
+  if (options.landscape) {
+    [width, height] = [height, width];
+  }
+  const scale = options.scale > 0 ? options.scale : 1;
+  const marginTop = toPixels(options.margin.top, 0);
+  return {
+    width: (width - toPixels(options.margin.left, 0) - toPixels(options.margin.right, 0)) / scale,
+    height: (height - marginTop - toPixels(options.margin.bottom, 0)) / scale,
+    marginTop,
+    scale
+  };
+}
+
+function toPixels(value, fallback) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^\s*([\d.]+)\s*(px|in|cm|mm)?\s*$/i.exec(String(value || ''));
+  if (!match) {
+    return fallback;
+  }
+  return Number(match[1]) * CSS_PIXELS_PER_UNIT[(match[2] || 'px').toLowerCase()];
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+function writeStdout(buffer) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(buffer, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+function logStatus(message) {
+  if (STATUS_TO_STDERR) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+function statusStream() {
+  return STATUS_TO_STDERR ? process.stderr : process.stdout;
+}
+
+function detectLanguage(config) {
+  return config?.language || process.env.LANG || process.env.LANGUAGE || 'en-US';
+}
+
+async function ensureChromium(markdownPdfConfig, config, puppeteerVariant) {
+  const browserOptions = normalizeBrowserOptions(markdownPdfConfig, puppeteerVariant);
+  const overridePath = resolveExecutableOverride(browserOptions.executablePath);
+  if (overridePath) {
+    INSTALL_CHECK = true;
+    return overridePath;
+  }
+
+  const cacheKey = computeCacheKey(browserOptions.variantId, browserOptions.browser, browserOptions.requestedTag, browserOptions.cacheDir);
+  const cachedPath = cachedExecutables.get(cacheKey);
+  if (cachedPath && fs.existsSync(cachedPath)) {
     INSTALL_CHECK = true;
     return cachedPath;
   }
@@ -519,10 +3591,22 @@ async function installChromium(config, browserOptions) {
   if (!platform) {
     throw new Error('Unsupported platform for browser download.');
   }
+  const cacheDir = getBrowserCacheDir(browserOptions.cacheDir);
+  if (browserOptions.offline) {
+    // Resolving channels and versions needs the network, so offline runs only look at the cache.
+    const cached = findCachedBrowser(await getInstalledBrowsers({ cacheDir }), browserOptions, platform);
+    if (!cached) {
+      const wanted = browserOptions.requestedTag ? `${browserOptions.displayName}@${browserOptions.requestedTag}` : browserOptions.displayName;
+      throw new Error(`No cached ${wanted} build in ${cacheDir} and offline mode forbids downloading. Run "markdown-pdf-m browsers install" while online or set markdownPdf.browser.executablePath.`);
+    }
+    INSTALL_CHECK = true;
+    logStatus(`[markdown-pdf-m-cli] Using cached ${formatBrowserLabel(browserOptions, cached.buildId, browserOptions.requestedTag)} at ${cached.executablePath} (offline)`);
+    return cached.executablePath;
+  }
+
   const { buildId, alias } = await resolveBrowserBuild(browserOptions, platform, browserOptions.revisions);
   const label = formatBrowserLabel(browserOptions, buildId, alias);
 
-  const cacheDir = getBrowserCacheDir(browserOptions.cacheDir);
   await fs.promises.mkdir(cacheDir, { recursive: true });
 
   const installedBrowsers = await getInstalledBrowsers({ cacheDir });
@@ -531,11 +3615,11 @@ async function installChromium(config, browserOptions) {
   });
   if (existing && fs.existsSync(existing.executablePath)) {
     INSTALL_CHECK = true;
-    console.log(`[markdown-pdf-m-cli] Using cached ${label} at ${existing.executablePath}`);
+    logStatus(`[markdown-pdf-m-cli] Using cached ${label} at ${existing.executablePath}`);
     return existing.executablePath;
   }
 
-  console.log(`[markdown-pdf-m-cli] Installing ${label} ...`);
+  logStatus(`[markdown-pdf-m-cli] Installing ${label} ...`);
   let progressShown = false;
   const installed = await installBrowser({
     browser: browserOptions.browser,
@@ -549,29 +3633,99 @@ async function installChromium(config, browserOptions) {
       }
       progressShown = true;
       const progress = Math.floor((downloadedBytes / totalBytes) * 100);
-      process.stdout.write(`\r[markdown-pdf-m-cli] Downloading ${label}... ${progress}%`);
+      statusStream().write(`\r[markdown-pdf-m-cli] Downloading ${label}... ${progress}%`);
     }
   });
   if (progressShown) {
-    process.stdout.write('\n');
+    statusStream().write('\n');
   }
 
   INSTALL_CHECK = true;
-  console.log(`[markdown-pdf-m-cli] ${label} ready at ${installed.executablePath}`);
+  logStatus(`[markdown-pdf-m-cli] ${label} ready at ${installed.executablePath}`);
   return installed.executablePath;
 }
 
-function convertMarkdownToHtml(filename, type, text, config) {
+/**
+ * Picks the cached build an offline run should use: the pinned version (or milestone)
+ * when one is configured, otherwise the default revision, otherwise the newest build.
+ */
+function findCachedBrowser(installed, browserOptions, platform) {
+  const candidates = sortBrowserBuilds(installed.filter((entry) => {
+    return entry.browser === browserOptions.browser && entry.platform === platform && fs.existsSync(entry.executablePath);
+  }));
+  const tag = browserOptions.requestedTag;
+  if (tag && /^[\d.]+$/.test(tag)) {
+    return candidates.find((entry) => entry.buildId === tag || entry.buildId.startsWith(`${tag}.`)) || null;
+  }
+  if (!tag) {
+    const defaultRevision = browserOptions.revisions?.[browserOptions.browser];
+    const pinned = candidates.find((entry) => entry.buildId === defaultRevision);
+    if (pinned) {
+      return pinned;
+    }
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * Sorts installed builds by browser, then newest first.
+ */
+function sortBrowserBuilds(installed) {
+  return [...installed].sort((a, b) => {
+    if (a.browser !== b.browser) {
+      return a.browser.localeCompare(b.browser);
+    }
+    return compareBuildIds(b.buildId, a.buildId);
+  });
+}
+
+function compareBuildIds(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Renders markdown to an HTML fragment. `context` is optional:
+ * - dependencies: Set that collects the local files the document pulls in
+ * - headingSlugs: slug registry shared between documents merged into one output
+ * - headings: array that receives the document headings
+ * - frontMatter: defaults for the document front matter
+ * - relativeTo: directory that relative image paths are rewritten against (html output)
+ * - outputDir, relativeDir: where the document is written, as passed to resolveOutputPath
+ * - outputPath: the output file when it is not the document's own (merged documents)
+ * - linkTargets: Map of documents converted in the same run to their relativeDir
+ * - mergedDocument: { files, links } shared by documents merged into one output, see
+ *   rewriteMarkdownLink
+ * - problems: array that receives broken references instead of failing, see validateDocument
+ */
+function convertMarkdownToHtml(filename, type, text, config, context) {
   const markdownPdfConfig = config?.markdownPdf || {};
+  const dependencies = context?.dependencies;
+  const hookContext = { inputPath: filename, type, config, frontMatter: context?.frontMatter || {} };
+  const hookedText = runHook(config, 'beforeMarkdown', [text, hookContext]);
+  if (hookedText !== undefined && typeof hookedText !== 'string') {
+    throw new Error(`Hook "beforeMarkdown" must return a string or nothing, got ${typeof hookedText}.`);
+  }
+  text = hookedText === undefined ? text : hookedText;
   const matterParts = grayMatter(text);
+  const frontMatter = { ...(context?.frontMatter || {}), ...matterParts.data };
+  // Token line maps count from the end of the front matter; shift them back to file lines.
+  const lineOffset = text.endsWith(matterParts.content)
+    ? text.slice(0, text.length - matterParts.content.length).split('\n').length - 1
+    : 0;
 
+  const rawHtml = markdownPdfConfig.security?.rawHtml || 'allow';
   const md = markdownIt({
-    html: true,
-    breaks: setBooleanValue(matterParts.data.breaks, markdownPdfConfig.breaks),
+    html: rawHtml !== 'escape',
+    breaks: setBooleanValue(frontMatter.breaks, markdownPdfConfig.breaks),
     highlight(str, lang) {
-      if (lang && lang.match(/\bmermaid\b/i)) {
-        return `<div class="mermaid">${str}</div>`;
-      }
       if (lang && highlightJs.getLanguage(lang)) {
         try {
           const { value } = highlightJs.highlight(str, { language: lang, ignoreIllegals: true });
@@ -585,6 +3739,46 @@ function convertMarkdownToHtml(filename, type, text, config) {
     }
   });
 
+  if (rawHtml === 'sanitize') {
+    md.core.ruler.push('sanitize_html', (state) => {
+      const visit = (tokens) => tokens.forEach((token) => {
+        if (token.type === 'html_block' || token.type === 'html_inline') {
+          token.content = sanitizeHtml(token.content);
+        }
+        if (token.children) {
+          visit(token.children);
+        }
+      });
+      visit(state.tokens);
+    });
+  }
+
+  const defaultFence = md.renderer.rules.fence;
+  md.renderer.rules.fence = function (tokens, idx, options, env, self) {
+    const token = tokens[idx];
+    const lang = token.info ? md.utils.unescapeAll(token.info).trim().split(/\s+/g)[0] : '';
+    if (lang.match(/\bmermaid\b/i)) {
+      const line = token.map ? ` data-source-line="${token.map[0] + lineOffset + 1}"` : '';
+      return `<div class="mermaid"${line}>${md.utils.escapeHtml(token.content)}</div>\n`;
+    }
+    return defaultFence(tokens, idx, options, env, self);
+  };
+
+  if (markdownPdfConfig.rewriteMarkdownLinks !== false) {
+    const defaultLinkOpen = md.renderer.rules.link_open || function (tokens, idx, options, env, self) {
+      return self.renderToken(tokens, idx, options);
+    };
+    md.renderer.rules.link_open = function (tokens, idx, options, env, self) {
+      const token = tokens[idx];
+      const href = token.attrGet('href');
+      const rewritten = href ? rewriteMarkdownLink(href, filename, type, config, context) : null;
+      if (rewritten !== null) {
+        token.attrSet('href', rewritten);
+      }
+      return defaultLinkOpen(tokens, idx, options, env, self);
+    };
+  }
+
   const defaultRender = md.renderer.rules.image || function (tokens, idx, options, env, self) {
     return self.renderToken(tokens, idx, options);
   };
@@ -594,9 +3788,17 @@ function convertMarkdownToHtml(filename, type, text, config) {
     const srcIndex = token.attrIndex('src');
     if (srcIndex >= 0) {
       const original = token.attrs[srcIndex][1];
-      const href = type === 'html'
-        ? decodeURIComponent(original).replace(/("|')/g, '')
-        : convertImgPath(original, filename);
+      if (dependencies) {
+        addLocalResource(dependencies, original, filename);
+      }
+      let href;
+      if (type !== 'html') {
+        href = convertImgPath(original, filename);
+      } else if (context?.relativeTo) {
+        href = relocateRelativePath(original, filename, context.relativeTo);
+      } else {
+        href = safeDecodeURIComponent(original).replace(/("|')/g, '');
+      }
       token.attrs[srcIndex][1] = href;
     }
     return defaultRender(tokens, idx, options, env, self);
@@ -613,6 +3815,9 @@ function convertMarkdownToHtml(filename, type, text, config) {
       $('img').each(function () {
         const src = $(this).attr('src');
         if (src) {
+          if (dependencies) {
+            addLocalResource(dependencies, src, filename);
+          }
           $(this).attr('src', convertImgPath(src, filename));
           changed = true;
         }
@@ -626,7 +3831,7 @@ function convertMarkdownToHtml(filename, type, text, config) {
 
   md.use(require('markdown-it-checkbox'));
 
-  const emojiEnabled = setBooleanValue(matterParts.data.emoji, markdownPdfConfig.emoji);
+  const emojiEnabled = setBooleanValue(frontMatter.emoji, markdownPdfConfig.emoji);
   if (emojiEnabled) {
     var emojies_defs = require(path.join(__dirname, 'data', 'emoji.json'));
     try {
@@ -649,7 +3854,20 @@ function convertMarkdownToHtml(filename, type, text, config) {
     };
   }
 
-  applyHeadingIds(md, Slug);
+  const mathConfig = isPlainObject(markdownPdfConfig.math) ? markdownPdfConfig.math : {};
+  if (setBooleanValue(frontMatter.math, mathConfig.enable)) {
+    applyMath(md, {
+      filename,
+      lineOffset,
+      macros: isPlainObject(mathConfig.macros) ? { ...mathConfig.macros } : {}
+    });
+  }
+
+  applyHeadingIds(md, Slug, context?.headingSlugs, context?.mergedDocument?.files.get(filename)?.slugs);
+  applyTableOfContents(md, {
+    levels: parseLevelRange(frontMatter.tocLevels, parseLevelRange(markdownPdfConfig.tocLevels, DEFAULT_TOC_LEVELS)),
+    pageNumbers: type === 'pdf' && Boolean(setBooleanValue(frontMatter.tocPageNumbers, markdownPdfConfig.tocPageNumbers))
+  });
   md.use(require('markdown-it-container'), '', {
     validate(name) {
       return name.trim().length > 0;
@@ -663,42 +3881,293 @@ function convertMarkdownToHtml(filename, type, text, config) {
   });
 
   const plantumlOptions = {
-    openMarker: matterParts.data.plantumlOpenMarker || markdownPdfConfig.plantumlOpenMarker || '@startuml',
-    closeMarker: matterParts.data.plantumlCloseMarker || markdownPdfConfig.plantumlCloseMarker || '@enduml',
-    server: markdownPdfConfig.plantumlServer || ''
+    openMarker: frontMatter.plantumlOpenMarker || markdownPdfConfig.plantumlOpenMarker || '@startuml',
+    closeMarker: frontMatter.plantumlCloseMarker || markdownPdfConfig.plantumlCloseMarker || '@enduml',
+    server: markdownPdfConfig.plantumlServer || '',
+    imageFormat: resolvePlantUmlConfig(markdownPdfConfig).format,
+    render(tokens, idx, options, env, self) {
+      // Remember where the diagram starts so embedPlantUml can report errors against the file.
+      const token = tokens[idx];
+      if (token.map) {
+        token.attrSet('data-plantuml-file', path.basename(filename));
+        token.attrSet('data-plantuml-line', String(token.map[0] + lineOffset + 1));
+      }
+      return self.rules.image(tokens, idx, options, env, self);
+    }
   };
   md.use(require('markdown-it-plantuml'), plantumlOptions);
 
+  const problems = context?.problems;
   const includeConfig = markdownPdfConfig['markdown-it-include'];
   if (includeConfig && includeConfig.enable) {
+    // Checked up front so a missing file is reported with its line, not just its path.
+    const includeProblems = findIncludeProblems(text, filename);
+    if (problems) {
+      problems.push(...includeProblems);
+    } else if (includeProblems.length > 0) {
+      throw new Error(formatProblem(includeProblems[0]));
+    }
     md.use(require('markdown-it-include'), {
       root: path.dirname(filename),
-      includeRe: /:\[.+\]\((.+\..+)\)/i
+      includeRe: INCLUDE_RE,
+      throwError: !problems
+    });
+    if (dependencies) {
+      collectIncludedFiles(matterParts.content, path.dirname(filename)).forEach((file) => dependencies.add(file));
+    }
+  }
+
+  applyConfiguredPlugins(md, markdownPdfConfig.plugins, frontMatter.plugins);
+  runHook(config, 'extendMarkdownIt', [md, { ...hookContext, frontMatter }]);
+
+  if (problems) {
+    md.core.ruler.push('validate_references', (state) => {
+      // Token lines count in the expanded source; map them back to the file each line came from.
+      const sourceLines = includeConfig && includeConfig.enable ? mapIncludedLines(matterParts.content, filename, lineOffset + 1) : [];
+      const locate = (index) => sourceLines[index] || { file: filename, line: index + lineOffset + 1 };
+      problems.push(...findReferenceProblems(state.tokens, filename, locate));
+    });
+  }
+
+  if (Array.isArray(context?.headings)) {
+    md.core.ruler.push('collect_headings', (state) => {
+      context.headings.push(...collectHeadings(state.tokens));
     });
   }
 
   return md.render(matterParts.content);
 }
 
-function makeHtml(data, inputPath, config) {
+/**
+ * Renders the page template. `context.frontMatter` is exposed to Mustache next to
+ * the computed values (see buildTemplateData); `context.view` overrides any of them.
+ * `context.type` is the output type the page is built for, and `context.checkFile`
+ * is called with each template partial before it is read.
+ */
+function makeHtml(data, inputPath, config, context) {
+  const frontMatter = context?.frontMatter || {};
+  const { template, partials } = loadTemplate(inputPath, config, frontMatter, context?.checkFile);
+
+  const view = {
+    ...buildTemplateData(data, inputPath, frontMatter),
+    title: typeof frontMatter.title === 'string' && frontMatter.title.trim()
+      ? markdownIt().utils.escapeHtml(frontMatter.title)
+      : path.basename(inputPath),
+    style: readStyles(inputPath, config, { math: data.includes('class="katex"') }),
+    content: data,
+    mermaid: buildMermaidScripts(data, config, context?.type),
+    ...context?.view
+  };
+
+  const html = mustache.render(template, view, partials);
+  if (!hasHook(config, 'afterHtml')) {
+    return html;
+  }
+  const $ = cheerio.load(html);
+  runHook(config, 'afterHtml', [$, { inputPath, type: context?.type, config, frontMatter }]);
+  return $.html();
+}
+
+/**
+ * Script tags that load Mermaid and render the diagrams, or '' when the content has
+ * none. Browser-rendered outputs load the runtime from the local mermaid package so
+ * they work offline; HTML output keeps `mermaidServer` unless `mermaid.source` says otherwise.
+ */
+function buildMermaidScripts(content, config, type) {
+  if (!MERMAID_BLOCK_RE.test(content || '')) {
+    return '';
+  }
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const mermaidConfig = isPlainObject(markdownPdfConfig.mermaid) ? markdownPdfConfig.mermaid : {};
+  const src = resolveMermaidSource(markdownPdfConfig, type);
+  const options = {
+    startOnLoad: false,
+    theme: pickFirstNonEmptyString(mermaidConfig.theme) || 'default',
+    ...(isPlainObject(mermaidConfig.config) ? mermaidConfig.config : {})
+  };
+  const script = MERMAID_RENDER_SCRIPT.replace('__MERMAID_OPTIONS__', JSON.stringify(options).replace(/<\//g, '<\\/'));
+  const runtime = src ? `<script src="${src}" data-markdown-pdf-mermaid></script>\n` : '';
+  return `${runtime}<script data-markdown-pdf-mermaid>\n${script}\n</script>`;
+}
+
+function resolveMermaidSource(markdownPdfConfig, type) {
+  const mermaidConfig = isPlainObject(markdownPdfConfig.mermaid) ? markdownPdfConfig.mermaid : {};
+  const source = String(mermaidConfig.source || 'auto').toLowerCase();
+  const server = pickFirstNonEmptyString(markdownPdfConfig.mermaidServer);
+
+  const preferServer = source === 'server'
+    || (source === 'auto' && type === 'html' && !mermaidConfig.prerender && !markdownPdfConfig.selfContained);
+  if (preferServer && server) {
+    return server;
+  }
+
+  const localPath = resolveLocalMermaid(mermaidConfig.path);
+  if (localPath) {
+    return pathToFileURL(localPath).toString();
+  }
+  if (server) {
+    console.warn(`[markdown-pdf-m-cli] Mermaid is not installed locally; loading it from ${server}`);
+    return server;
+  }
+  console.warn('[markdown-pdf-m-cli] No Mermaid runtime available; diagrams will not be rendered.');
+  return '';
+}
+
+function resolveLocalMermaid(customPath) {
+  if (typeof customPath === 'string' && customPath.trim()) {
+    const resolved = path.resolve(process.cwd(), customPath.trim());
+    if (fs.existsSync(resolved)) {
+      return resolved;
+    }
+    console.warn(`[markdown-pdf-m-cli] Mermaid runtime not found at ${resolved}`);
+  }
+  try {
+    return require.resolve('mermaid/dist/mermaid.min.js');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * The template comes from front matter `template` (relative to the document) or
+ * `markdownPdf.template` (relative to the configuration file), falling back to the
+ * bundled one. A directory may be given; it must contain template.html.
+ */
+function resolveTemplatePath(inputPath, config, frontMatter) {
   const markdownPdfConfig = config?.markdownPdf || {};
-  const templatePath = path.join(__dirname, 'template', 'template.html');
+  const fromFrontMatter = typeof frontMatter?.template === 'string' ? frontMatter.template.trim() : '';
+  const configured = fromFrontMatter
+    ? resolveDocumentHref(fromFrontMatter, inputPath)
+    : pickFirstNonEmptyString(markdownPdfConfig.template);
+  if (!configured) {
+    return DEFAULT_TEMPLATE_FILE;
+  }
+
+  const templatePath = configured.startsWith('~')
+    ? path.join(os.homedir(), configured.slice(1))
+    : path.resolve(process.cwd(), configured);
+  if (fs.existsSync(templatePath) && fs.statSync(templatePath).isDirectory()) {
+    const entry = TEMPLATE_ENTRY_CANDIDATES
+      .map((name) => path.join(templatePath, name))
+      .find((candidate) => fs.existsSync(candidate));
+    return entry || path.join(templatePath, TEMPLATE_ENTRY_CANDIDATES[0]);
+  }
+  return templatePath;
+}
+
+function loadTemplate(inputPath, config, frontMatter, checkFile) {
+  const templatePath = resolveTemplatePath(inputPath, config, frontMatter);
   const template = readFileIfExists(templatePath, 'utf-8');
   if (!template) {
     throw new Error(`Template not found: ${templatePath}`);
   }
+  const templateDir = path.dirname(templatePath);
+  return {
+    path: templatePath,
+    template,
+    // Partials ({{> name}}) are looked up next to the template and in its partials/ folder,
+    // and may not leave those folders.
+    partials: (name) => {
+      const normalized = path.normalize(String(name).trim());
+      if (path.isAbsolute(normalized) || normalized.split(/[\\/]/)[0] === '..') {
+        throw new Error(`Template partial ${name} is outside the template directory ${templateDir}`);
+      }
+      const candidates = [templateDir, path.join(templateDir, 'partials')]
+        .flatMap((dir) => ['', '.mustache', '.html'].map((ext) => ({ dir, file: path.join(dir, normalized + ext) })))
+        .filter((candidate) => fs.existsSync(candidate.file) && fs.statSync(candidate.file).isFile());
+      const outside = candidates.find((candidate) => !isInsideDir(candidate.file, candidate.dir));
+      if (outside) {
+        throw new Error(`Template partial ${name} resolves outside the template directory: ${fs.realpathSync(outside.file)}`);
+      }
+      const partialPath = candidates[0]?.file;
+      if (!partialPath) {
+        console.warn(`[markdown-pdf-m-cli] Template partial not found: ${name} (looked in ${templateDir})`);
+        return '';
+      }
+      if (checkFile) {
+        checkFile(partialPath);
+      }
+      return fs.readFileSync(partialPath, 'utf-8');
+    }
+  };
+}
 
-  const view = {
-    title: path.basename(inputPath),
-    style: readStyles(inputPath, config),
-    content: data,
-    mermaid: markdownPdfConfig.mermaidServer ? `<script src="${markdownPdfConfig.mermaidServer}"></script>` : ''
+function collectTemplateNames(template) {
+  const names = new Set();
+  const visit = (tokens) => {
+    for (const token of tokens || []) {
+      if (['name', '&', '{', '#', '^'].includes(token[0]) && token[1] !== '.') {
+        names.add(token[1].split('.')[0]);
+      }
+      if (token[0] === '#' || token[0] === '^') {
+        visit(token[4]);
+      }
+    }
+  };
+  visit(mustache.parse(template));
+  return Array.from(names);
+}
+
+/**
+ * Values available to templates: every front matter key (also grouped under
+ * `frontMatter`), `date` (front matter date or today), `generatedAt`, `wordCount`
+ * and `source` with the document's filename, name, path, relativePath, directory,
+ * modified date and size.
+ */
+function buildTemplateData(content, inputPath, frontMatter) {
+  const data = normalizeTemplateValue(frontMatter || {});
+  const stat = fs.existsSync(inputPath) ? fs.statSync(inputPath) : null;
+  const now = new Date();
+  const wordCount = String(content || '')
+    .replace(/<[^>]*>/g, ' ')
+    .split(/\s+/)
+    .filter((word) => /[\p{L}\p{N}]/u.test(word))
+    .length;
+
+  return {
+    ...data,
+    frontMatter: data,
+    date: data.date !== undefined ? data.date : formatDate(now),
+    generatedAt: now.toISOString(),
+    wordCount,
+    source: {
+      filename: path.basename(inputPath),
+      name: path.basename(inputPath, path.extname(inputPath)),
+      path: inputPath,
+      relativePath: path.relative(process.cwd(), inputPath).replace(/\\/g, '/'),
+      directory: path.dirname(inputPath),
+      modified: stat ? formatDate(stat.mtime) : '',
+      size: stat ? stat.size : 0
+    }
   };
+}
+
+function normalizeTemplateValue(value) {
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeTemplateValue);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = normalizeTemplateValue(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
 
-  return mustache.render(template, view);
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
 }
 
-function readStyles(resourcePath, config) {
+/**
+ * `options.math` adds the KaTeX stylesheet with its fonts inlined, so typeset math
+ * renders without network access.
+ */
+function readStyles(resourcePath, config, options) {
   const markdownPdfConfig = config?.markdownPdf || {};
   const markdownConfig = config?.markdown || {};
 
@@ -723,14 +4192,205 @@ function readStyles(resourcePath, config) {
     }
   }
 
-  if (markdownPdfConfig.includeDefaultStyles !== false) {
-    style += makeCss(path.join(__dirname, 'styles', 'markdown-pdf.css'));
+  if (markdownPdfConfig.includeDefaultStyles !== false) {
+    style += makeCss(path.join(__dirname, 'styles', 'markdown-pdf.css'));
+  }
+
+  if (options?.math) {
+    style += `\n<style>\n${readKatexCss()}\n</style>\n`;
+  }
+
+  const customStyles = Array.isArray(markdownPdfConfig.styles) ? markdownPdfConfig.styles : [];
+  style += buildStyleLinks(customStyles, resourcePath, config);
+
+  return style;
+}
+
+function readKatexCss() {
+  if (cachedKatexCss === null) {
+    const distDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+    const css = fs.readFileSync(path.join(distDir, 'katex.min.css'), 'utf-8');
+    // Keep only the woff2 source of each font, embedded as a data URI.
+    cachedKatexCss = css.replace(/src:url\(fonts\/([^)]+\.woff2)\) format\("woff2"\)[^;}]*/g, (match, font) => {
+      const data = fs.readFileSync(path.join(distDir, 'fonts', font)).toString('base64');
+      return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+    });
+  }
+  return cachedKatexCss;
+}
+
+function collectStyleFiles(resourcePath, config) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const markdownConfig = config?.markdown || {};
+  const styles = Array.isArray(markdownPdfConfig.styles) ? markdownPdfConfig.styles.slice() : [];
+  if (markdownPdfConfig.includeDefaultStyles !== false && Array.isArray(markdownConfig.styles)) {
+    styles.push(...markdownConfig.styles);
+  }
+
+  const files = styles
+    .map((href) => fixHref(resourcePath, href, config))
+    .filter((href) => href && href.startsWith('file:'))
+    .map((href) => url.fileURLToPath(href));
+
+  if (markdownPdfConfig.highlight !== false && markdownPdfConfig.highlightStyle) {
+    try {
+      files.push(path.resolve(resolveHighlightStyle(markdownPdfConfig.highlightStyle)));
+    } catch (_) {
+      // reported when the styles are rendered
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Reads a book manifest (JSON or YAML). `manifestPath` may also be a directory
+ * holding book.json / book.yml. Paths in the manifest are relative to it:
+ *
+ *   title: Handbook
+ *   output: dist/handbook        # output base name, default: manifest name
+ *   type: [pdf]
+ *   titlePage: cover.md          # or { title, subtitle, author, date }
+ *   toc: { title: Contents, levels: 1-2, pageNumbers: true }   # or true / false
+ *   config: { markdownPdf: { ... } }
+ *   chapters:
+ *     - intro.md
+ *     - file: setup/index.md
+ *       options: { breaks: true }   # front matter defaults for this chapter
+ */
+function loadBookManifest(manifestPath) {
+  let resolved = path.resolve(process.cwd(), manifestPath || '.');
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    const candidate = BOOK_MANIFEST_CANDIDATES
+      .map((name) => path.join(resolved, name))
+      .find((file) => fs.existsSync(file));
+    if (!candidate) {
+      throw new Error(`No book manifest (${BOOK_MANIFEST_CANDIDATES.join(', ')}) found in ${resolved}`);
+    }
+    resolved = candidate;
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Book manifest not found: ${resolved}`);
+  }
+
+  let data;
+  try {
+    const text = fs.readFileSync(resolved, 'utf-8');
+    data = /\.ya?ml$/i.test(resolved) ? yaml.safeLoad(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Unable to parse book manifest ${resolved}: ${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`Book manifest ${resolved} must contain an object.`);
+  }
+  if (isPlainObject(data.config)) {
+    validateConfig(data.config, resolved);
+  }
+
+  const baseDir = path.dirname(resolved);
+  const chapters = Array.isArray(data.chapters) ? data.chapters : [];
+  if (chapters.length === 0) {
+    throw new Error(`Book manifest ${resolved} does not list any chapters.`);
+  }
+
+  const resolveBookFile = (file, label) => {
+    if (typeof file !== 'string' || !file.trim()) {
+      throw new Error(`Book manifest ${resolved}: ${label} needs a file path.`);
+    }
+    const filePath = path.resolve(baseDir, file.trim());
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Book manifest ${resolved}: ${label} not found: ${filePath}`);
+    }
+    return filePath;
+  };
+
+  const toc = isPlainObject(data.toc) ? data.toc : { enabled: data.toc !== false };
+  const outputName = pickFirstNonEmptyString(data.output) || path.basename(resolved, path.extname(resolved));
+
+  return {
+    manifestPath: resolved,
+    baseDir,
+    title: pickFirstNonEmptyString(data.title),
+    inputPath: path.resolve(baseDir, outputName),
+    types: data.type,
+    titlePage: typeof data.titlePage === 'string'
+      ? { file: resolveBookFile(data.titlePage, 'titlePage') }
+      : (isPlainObject(data.titlePage) ? data.titlePage : null),
+    toc: {
+      enabled: toc.enabled !== false,
+      title: typeof toc.title === 'string' ? toc.title : 'Contents',
+      levels: toc.levels,
+      pageNumbers: toc.pageNumbers
+    },
+    config: isPlainObject(data.config) ? data.config : {},
+    chapters: chapters.map((chapter, index) => {
+      const entry = isPlainObject(chapter) ? chapter : { file: chapter };
+      return {
+        file: resolveBookFile(entry.file, `chapter ${index + 1}`),
+        options: isPlainObject(entry.options) ? entry.options : {}
+      };
+    })
+  };
+}
+
+/**
+ * Renders every chapter against its own directory, with heading ids kept unique
+ * across chapters, and assembles title page, combined TOC and chapters into one
+ * HTML document. Each section starts on a new page.
+ */
+function renderBookHtml(book, type, config, outputDirOverride) {
+  const markdownPdfConfig = config?.markdownPdf || {};
+  const escapeHtml = markdownIt().utils.escapeHtml;
+  const headingSlugs = Object.create(null);
+  const outputPath = resolveOutputPath(book.inputPath, type, outputDirOverride, config);
+  const relativeTo = type === 'html' ? path.dirname(outputPath) : null;
+  // Links between chapters become anchors inside the book.
+  const mergedDocument = {
+    files: new Map(book.chapters.map((chapter, index) => [chapter.file, { id: `chapter-${index + 1}`, slugs: Object.create(null) }])),
+    links: []
+  };
+  const render = (file, options) => {
+    return convertMarkdownToHtml(file, type, fs.readFileSync(file, 'utf-8'), config, {
+      headingSlugs,
+      relativeTo,
+      outputDir: outputDirOverride,
+      outputPath,
+      mergedDocument,
+      ...options
+    });
+  };
+
+  const sections = [];
+  if (book.titlePage && book.titlePage.file) {
+    sections.push(`<section class="book-section book-title-page">\n${render(book.titlePage.file)}</section>`);
+  } else if (book.titlePage) {
+    const lines = ['title', 'subtitle', 'author', 'date']
+      .filter((key) => book.titlePage[key])
+      .map((key) => `<p class="book-${key}">${escapeHtml(String(book.titlePage[key]))}</p>`);
+    sections.push(`<section class="book-section book-title-page">\n${lines.join('\n')}\n</section>`);
   }
 
-  const customStyles = Array.isArray(markdownPdfConfig.styles) ? markdownPdfConfig.styles : [];
-  style += buildStyleLinks(customStyles, resourcePath, config);
+  const headings = [];
+  const chapters = book.chapters.map((chapter, index) => {
+    const content = render(chapter.file, { frontMatter: chapter.options, headings });
+    return `<section class="book-section book-chapter" id="chapter-${index + 1}">\n${content}</section>`;
+  });
 
-  return style;
+  if (book.toc.enabled) {
+    const levels = parseLevelRange(book.toc.levels, parseLevelRange(markdownPdfConfig.tocLevels, DEFAULT_TOC_LEVELS));
+    const pageNumbers = type === 'pdf' && Boolean(setBooleanValue(book.toc.pageNumbers, markdownPdfConfig.tocPageNumbers));
+    const [minLevel, maxLevel] = levels;
+    const entries = headings.filter((heading) => heading.level >= minLevel && heading.level <= maxLevel);
+    const title = book.toc.title ? `<p class="book-toc-title">${escapeHtml(book.toc.title)}</p>\n` : '';
+    sections.push(`<section class="book-section book-toc">\n${title}${buildTocHtml(entries, { pageNumbers }, escapeHtml)}</section>`);
+  }
+
+  sections.push(...chapters);
+  return makeHtml(resolveMergedLinks(sections.join('\n'), mergedDocument), book.inputPath, config, {
+    frontMatter: book.title ? { title: book.title } : {},
+    type,
+    view: book.title ? {} : { title: path.basename(book.inputPath) }
+  });
 }
 
 function resolveHighlightStyle(styleName) {
@@ -760,25 +4420,77 @@ function buildStyleLinks(styles, resourcePath, config) {
     .join('');
 }
 
-function applyHeadingIds(md, slugify) {
-  const seen = Object.create(null);
-  const defaultRender = md.renderer.rules.heading_open || function (tokens, idx, options, env, self) {
-    return self.renderToken(tokens, idx, options);
-  };
+/**
+ * Applies `markdownPdf.plugins` in list order, after the built-in plugins. An entry is a
+ * module name or path, or `{ module, name, options, args, enable }`; front matter
+ * `plugins: { <name or module>: false }` turns one off for a single document.
+ */
+function applyConfiguredPlugins(md, plugins, toggles) {
+  if (!Array.isArray(plugins)) {
+    return;
+  }
+  const overrides = isPlainObject(toggles) ? toggles : {};
+  for (const entry of plugins) {
+    const plugin = typeof entry === 'string' ? { module: entry } : entry;
+    if (!isPlainObject(plugin) || typeof plugin.module !== 'string' || !plugin.module.trim()) {
+      throw new Error(`Invalid markdownPdf.plugins entry ${JSON.stringify(entry)}: expected a module name or an object with "module".`);
+    }
+    const override = plugin.name && plugin.name in overrides ? overrides[plugin.name] : overrides[plugin.module];
+    if (override === false || (override === undefined && plugin.enable === false)) {
+      continue;
+    }
+    const args = Array.isArray(plugin.args) ? plugin.args : plugin.options === undefined ? [] : [plugin.options];
+    md.use(loadMarkdownItPlugin(plugin), ...args);
+  }
+}
 
-  md.renderer.rules.heading_open = function (tokens, idx, options, env, self) {
-    const token = tokens[idx];
-    if (token && !token.attrGet('id')) {
-      const inlineToken = tokens[idx + 1];
-      let text = '';
-      if (inlineToken && inlineToken.type === 'inline') {
-        text = inlineToken.content || '';
-        if (!text && Array.isArray(inlineToken.children)) {
-          text = inlineToken.children.map((child) => child.content || '').join('');
-        }
+/**
+ * Paths (`./x`, `/x`) resolve from the config file that listed the plugin; package
+ * names from there, then the working directory, then this package.
+ */
+function loadMarkdownItPlugin(plugin) {
+  const request = plugin.module.trim();
+  const baseDir = plugin.baseDir || process.cwd();
+  let resolved;
+  try {
+    resolved = request.startsWith('.') || path.isAbsolute(request)
+      ? require.resolve(path.resolve(baseDir, request))
+      : require.resolve(request, { paths: [baseDir, process.cwd(), __dirname] });
+  } catch (_) {
+    throw new Error(`Cannot find markdown-it plugin "${request}" from ${baseDir}. Install it or fix markdownPdf.plugins.`);
+  }
+
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    throw new Error(`Failed to load markdown-it plugin "${request}" (${resolved}): ${error.message}`);
+  }
+  const fn = typeof exported === 'function' ? exported : exported?.default;
+  if (typeof fn !== 'function') {
+    throw new Error(`markdown-it plugin "${request}" (${resolved}) does not export a function.`);
+  }
+  return fn;
+}
+
+/**
+ * `anchors`, when given, maps the id each heading would get in its own document to the
+ * id it received, which differ when documents are merged and share `slugRegistry`.
+ */
+function applyHeadingIds(md, slugify, slugRegistry, anchors) {
+  const seen = slugRegistry || Object.create(null);
+
+  // Ids are assigned in a core rule so later rules (table of contents) can link to them.
+  md.core.ruler.push('heading_ids', (state) => {
+    const tokens = state.tokens;
+    const local = Object.create(null);
+    for (let idx = 0; idx < tokens.length; idx += 1) {
+      const token = tokens[idx];
+      if (token.type !== 'heading_open' || token.attrGet('id')) {
+        continue;
       }
 
-      text = text.trim();
+      const text = getHeadingSource(tokens[idx + 1]).trim();
       if (text) {
         let slug = slugify(text);
         if (slug) {
@@ -790,11 +4502,355 @@ function applyHeadingIds(md, slugify) {
             seen[baseSlug] = 0;
           }
           token.attrSet('id', slug);
+          if (anchors) {
+            local[baseSlug] = Object.prototype.hasOwnProperty.call(local, baseSlug) ? local[baseSlug] + 1 : 0;
+            anchors[local[baseSlug] ? `${baseSlug}-${local[baseSlug]}` : baseSlug] = slug;
+          }
         }
       }
     }
-    return defaultRender(tokens, idx, options, env, self);
+  });
+}
+
+function getHeadingSource(inlineToken) {
+  if (!inlineToken || inlineToken.type !== 'inline') {
+    return '';
+  }
+  let text = inlineToken.content || '';
+  if (!text && Array.isArray(inlineToken.children)) {
+    text = inlineToken.children.map((child) => child.content || '').join('');
+  }
+  return text;
+}
+
+function getHeadingText(inlineToken) {
+  if (!inlineToken || !Array.isArray(inlineToken.children)) {
+    return getHeadingSource(inlineToken).trim();
+  }
+  return inlineToken.children
+    .map((child) => {
+      if (child.type === 'softbreak' || child.type === 'hardbreak') {
+        return ' ';
+      }
+      if (child.type === 'emoji') {
+        return `:${child.markup}:`;
+      }
+      return child.type === 'text' || child.type === 'code_inline' ? child.content : '';
+    })
+    .join('')
+    .trim();
+}
+
+function collectHeadings(tokens, levels) {
+  const [minLevel, maxLevel] = levels || [1, 6];
+  const headings = [];
+  for (let idx = 0; idx < tokens.length; idx += 1) {
+    const token = tokens[idx];
+    if (token.type !== 'heading_open') {
+      continue;
+    }
+    const level = Number(token.tag.slice(1));
+    const id = token.attrGet('id');
+    if (!id || level < minLevel || level > maxLevel) {
+      continue;
+    }
+    headings.push({ level, id, text: getHeadingText(tokens[idx + 1]) });
+  }
+  return headings;
+}
+
+/**
+ * Replaces `[[toc]]` / `${toc}` paragraphs with a nested list of links to the
+ * headings within `options.levels`.
+ */
+function applyTableOfContents(md, options) {
+  md.core.ruler.after('heading_ids', 'table_of_contents', (state) => {
+    const tokens = state.tokens;
+    let html = null;
+    for (let idx = 0; idx < tokens.length - 2; idx += 1) {
+      const isPlaceholder = tokens[idx].type === 'paragraph_open'
+        && tokens[idx + 1].type === 'inline'
+        && TOC_PLACEHOLDER_RE.test(tokens[idx + 1].content.trim())
+        && tokens[idx + 2].type === 'paragraph_close';
+      if (!isPlaceholder) {
+        continue;
+      }
+      if (html === null) {
+        html = buildTocHtml(collectHeadings(tokens, options.levels), options, md.utils.escapeHtml);
+      }
+      const tocToken = new state.Token('table_of_contents', '', 0);
+      tocToken.block = true;
+      tocToken.content = html;
+      tocToken.map = tokens[idx].map;
+      tokens.splice(idx, 3, tocToken);
+    }
+  });
+
+  md.renderer.rules.table_of_contents = (tokens, idx) => tokens[idx].content;
+}
+
+/**
+ * Adds `$inline$` and `$$display$$` math typeset with KaTeX at conversion time.
+ * Syntax errors are thrown with the file, line and column of the offending formula.
+ */
+function applyMath(md, options) {
+  md.inline.ruler.after('escape', 'math_inline', parseInlineMath);
+  md.block.ruler.after('blockquote', 'math_block', parseBlockMath, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list']
+  });
+
+  // Inline tokens only know their offset in the paragraph; resolve it to a file position.
+  md.core.ruler.after('inline', 'math_positions', (state) => {
+    for (const token of state.tokens) {
+      if (token.type !== 'inline' || !token.map || !token.children) {
+        continue;
+      }
+      for (const child of token.children) {
+        if (child.type === 'math_inline') {
+          const lines = token.content.slice(0, child.meta.offset).split('\n');
+          child.meta.line = token.map[0] + lines.length;
+          child.meta.column = lines[lines.length - 1].length + 1;
+        }
+      }
+    }
+  });
+
+  const render = (token, displayMode) => {
+    try {
+      return katex.renderToString(token.content, { displayMode, macros: options.macros, throwOnError: true });
+    } catch (error) {
+      if (!(error instanceof katex.ParseError)) {
+        throw error;
+      }
+      let line = (token.meta?.line || 0) + options.lineOffset;
+      let column = token.meta?.column || 1;
+      if (typeof error.position === 'number') {
+        const consumed = token.content.slice(0, error.position).split('\n');
+        line += consumed.length - 1;
+        column = consumed.length > 1 ? consumed[consumed.length - 1].length + 1 : column + consumed[0].length;
+      }
+      throw new Error(`Math syntax error at ${path.basename(options.filename)}:${line}:${column}: ${error.rawMessage || error.message}`);
+    }
+  };
+
+  md.renderer.rules.math_inline = (tokens, idx) => render(tokens[idx], false);
+  md.renderer.rules.math_inline_display = (tokens, idx) => render(tokens[idx], true);
+  md.renderer.rules.math_block = (tokens, idx) => `<div class="math">${render(tokens[idx], true)}</div>\n`;
+}
+
+function parseInlineMath(state, silent) {
+  const start = state.pos;
+  if (state.src.charCodeAt(start) !== 0x24 /* $ */) {
+    return false;
+  }
+
+  const display = state.src.charCodeAt(start + 1) === 0x24;
+  const marker = display ? '$$' : '$';
+  const contentStart = start + marker.length;
+  // Like Pandoc, a single `$` must hug the formula and the closing one must not be
+  // followed by a digit, so "costs $5 and $10" stays text.
+  if (!display && /\s/.test(state.src[contentStart] || ' ')) {
+    return false;
+  }
+  let end = state.src.indexOf(marker, contentStart);
+  while (end >= 0 && state.src.charCodeAt(end - 1) === 0x5C /* \ */) {
+    end = state.src.indexOf(marker, end + 1);
+  }
+  if (end < 0 || (!display && (/\s/.test(state.src[end - 1]) || /\d/.test(state.src[end + 1] || '')))) {
+    return false;
+  }
+  if (end === contentStart) {
+    return false;
+  }
+
+  if (!silent) {
+    const token = state.push(display ? 'math_inline_display' : 'math_inline', 'math', 0);
+    token.markup = marker;
+    token.content = state.src.slice(contentStart, end);
+    token.meta = { offset: contentStart };
+  }
+  state.pos = end + marker.length;
+  return true;
+}
+
+function parseBlockMath(state, startLine, endLine, silent) {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+  const max = state.eMarks[startLine];
+  if (state.sCount[startLine] - state.blkIndent >= 4 || state.src.slice(start, start + 2) !== '$$') {
+    return false;
+  }
+
+  const firstLine = state.src.slice(start + 2, max);
+  let content;
+  let nextLine = startLine;
+  let contentLine = startLine;
+  if (firstLine.trim().endsWith('$$')) {
+    content = firstLine.trim().slice(0, -2);
+  } else {
+    const lines = firstLine.trim() ? [firstLine] : [];
+    contentLine = firstLine.trim() ? startLine : startLine + 1;
+    for (;;) {
+      nextLine += 1;
+      if (nextLine >= endLine) {
+        return false;
+      }
+      const lineText = state.src.slice(state.bMarks[nextLine] + state.tShift[nextLine], state.eMarks[nextLine]);
+      if (lineText.trim().endsWith('$$')) {
+        const tail = lineText.trim().slice(0, -2);
+        if (tail) {
+          lines.push(tail);
+        }
+        break;
+      }
+      lines.push(lineText);
+    }
+    content = lines.join('\n');
+  }
+  if (silent) {
+    return true;
+  }
+
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.content = content;
+  token.markup = '$$';
+  token.map = [startLine, nextLine + 1];
+  token.meta = {
+    line: contentLine + 1,
+    column: contentLine === startLine ? start - state.bMarks[startLine] + 3 : 1
   };
+  state.line = nextLine + 1;
+  return true;
+}
+
+/**
+ * Sanitizes a raw HTML token. Tokens may hold a lone opening or closing tag, so this
+ * works tag by tag: unknown tags are removed, dangerous elements are removed with
+ * their content, and only plain attributes with safe URLs are kept.
+ */
+function sanitizeHtml(html) {
+  const dropped = new RegExp(`<(${SANITIZE_DROPPED_ELEMENTS.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+  return html
+    .replace(dropped, '')
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+    .replace(/<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|</g, (match, closing, name, attributes) => {
+      if (name === undefined) {
+        // A "<" that does not start a complete tag must not merge with the markup after it.
+        return '&lt;';
+      }
+      const tag = name.toLowerCase();
+      if (!SANITIZE_ALLOWED_TAGS.has(tag)) {
+        return '';
+      }
+      if (closing) {
+        return `</${tag}>`;
+      }
+      const selfClosing = /\/\s*$/.test(attributes) ? ' /' : '';
+      return `<${tag}${sanitizeAttributes(attributes)}${selfClosing}>`;
+    });
+}
+
+function sanitizeAttributes(attributes) {
+  const kept = [];
+  const attributeRe = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = attributeRe.exec(attributes)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!SANITIZE_ALLOWED_ATTRIBUTES.has(name) && !/^(?:data|aria)-[\w-]+$/.test(name)) {
+      continue;
+    }
+    if (SANITIZE_URL_ATTRIBUTES.includes(name) && !isSafeUrl(value, name)) {
+      continue;
+    }
+    kept.push(` ${name}="${value.replace(/"/g, '&quot;')}"`);
+  }
+  return kept.join('');
+}
+
+function isSafeUrl(value, attribute) {
+  const decoded = value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&colon;/gi, ':')
+    .replace(/[\u0000- ]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(decoded);
+  if (!scheme) {
+    return true;
+  }
+  const name = scheme[1].toLowerCase();
+  if (name === 'data') {
+    return attribute === 'src' && /^data:image\/(?:png|gif|jpe?g|webp);/i.test(decoded);
+  }
+  return ['http', 'https', 'mailto', 'tel'].includes(name);
+}
+
+function buildTocHtml(headings, options, escapeHtml) {
+  if (headings.length === 0) {
+    return '';
+  }
+  const baseLevel = Math.min(...headings.map((heading) => heading.level));
+  let html = '<nav class="table-of-contents">';
+  let depth = 0;
+
+  for (const heading of headings) {
+    const level = heading.level - baseLevel + 1;
+    if (level > depth) {
+      while (depth < level) {
+        html += '\n<ul>';
+        depth += 1;
+        if (depth < level) {
+          html += '<li>';
+        }
+      }
+    } else {
+      html += '</li>';
+      while (depth > level) {
+        html += '</ul></li>';
+        depth -= 1;
+      }
+    }
+    const pageNumber = options.pageNumbers
+      ? `<span class="toc-page" data-toc-target="${escapeHtml(heading.id)}"></span>`
+      : '';
+    html += `\n<li><a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a>${pageNumber}`;
+  }
+
+  html += '</li>';
+  while (depth > 0) {
+    html += '</ul>';
+    depth -= 1;
+    if (depth > 0) {
+      html += '</li>';
+    }
+  }
+  return `${html}\n</nav>\n`;
+}
+
+function parseLevelRange(value, fallback) {
+  if (Array.isArray(value) && value.length > 0) {
+    const [min, max] = [Number(value[0]), Number(value[value.length - 1])];
+    return isValidLevelRange(min, max) ? [min, max] : fallback;
+  }
+  if (typeof value === 'number') {
+    return isValidLevelRange(1, value) ? [1, value] : fallback;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const match = /^\s*(\d)\s*(?:(?:-|\.\.)\s*(\d)\s*)?$/.exec(value);
+    if (match) {
+      const min = match[2] ? Number(match[1]) : 1;
+      const max = Number(match[2] || match[1]);
+      if (isValidLevelRange(min, max)) {
+        return [min, max];
+      }
+    }
+    console.warn(`[markdown-pdf-m-cli] Invalid heading level range ignored: ${value}`);
+  }
+  return fallback;
+}
+
+function isValidLevelRange(min, max) {
+  return Number.isInteger(min) && Number.isInteger(max) && min >= 1 && max <= 6 && min <= max;
 }
 
 function makeCss(filename) {
@@ -819,8 +4875,333 @@ function readFileIfExists(filename, encoding) {
   return fs.readFileSync(actual, encoding || 'utf-8');
 }
 
+/**
+ * Checks a document for references that would render broken: missing local images and
+ * linked files, unresolved includes, `#anchor` links without a matching heading or
+ * element id, and stylesheets that do not exist. Returns [{ file, line, message }].
+ */
+function validateDocument(inputPath, markdown, config) {
+  const problems = [];
+  convertMarkdownToHtml(inputPath, 'html', markdown, config, { problems });
+  problems.push(...findStyleProblems(inputPath, markdown, config));
+  return problems;
+}
+
+function validateBook(book, config) {
+  const files = [book.titlePage?.file, ...book.chapters.map((chapter) => chapter.file)].filter(Boolean);
+  return files.flatMap((file) => validateDocument(file, fs.readFileSync(file, 'utf-8'), config));
+}
+
+function reportProblems(problems) {
+  problems.forEach((problem) => console.error(`[markdown-pdf-m-cli] ${formatProblem(problem)}`));
+}
+
+function assertValid(problems, label) {
+  reportProblems(problems);
+  if (problems.length > 0) {
+    throw new Error(`${label}: ${problems.length} problem(s) found (strict mode).`);
+  }
+}
+
+function formatProblem(problem) {
+  const file = problem.file ? path.relative(process.cwd(), problem.file) || problem.file : 'config';
+  return `${file}${problem.line ? `:${problem.line}` : ''}: ${problem.message}`;
+}
+
+function findIncludeProblems(text, filename, seen) {
+  const visited = seen || new Set([filename]);
+  const includeRe = new RegExp(INCLUDE_RE.source, 'gi');
+  const problems = [];
+  text.split('\n').forEach((lineText, index) => {
+    let match;
+    while ((match = includeRe.exec(lineText))) {
+      const includePath = path.resolve(path.dirname(filename), match[1].slice(1, -1).trim());
+      if (!fs.existsSync(includePath)) {
+        problems.push({ file: filename, line: index + 1, message: `Included file not found: ${match[1].slice(1, -1).trim()}` });
+      } else if (visited.has(includePath)) {
+        problems.push({ file: filename, line: index + 1, message: `Circular include of ${path.basename(includePath)}` });
+      } else {
+        problems.push(...findIncludeProblems(fs.readFileSync(includePath, 'utf-8'), includePath, new Set([...visited, includePath])));
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * References are resolved against `filename`, as they are when rendering; `locate`
+ * turns a token line index into the { file, line } the problem is reported at.
+ */
+function findReferenceProblems(tokens, filename, locate) {
+  const ids = collectTokenIds(tokens);
+  const problems = [];
+  for (const token of tokens) {
+    if (token.type !== 'inline' || !token.map || !token.children) {
+      continue;
+    }
+    let index = token.map[0];
+    for (const child of token.children) {
+      if (child.type === 'softbreak' || child.type === 'hardbreak') {
+        index += 1;
+      }
+      const message = child.type === 'image'
+        ? checkImageReference(child.attrGet('src'), filename)
+        : child.type === 'link_open' ? checkLinkReference(child.attrGet('href'), filename, ids) : null;
+      if (message) {
+        problems.push({ ...locate(index), message });
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Where each line of the source comes from once markdown-it-include has expanded the
+ * includes in `text`: entry i is the { file, line } of expanded line i. A line that mixes
+ * files belongs to the file its first text comes from.
+ */
+function mapIncludedLines(text, filename, firstLine) {
+  const lines = [];
+  let blank = true;
+  for (const chunk of collectIncludeChunks(text, filename, firstLine, new Set([filename]))) {
+    chunk.text.split('\n').forEach((part, index) => {
+      if (index > 0 || lines.length === 0) {
+        lines.push({ file: chunk.file, line: chunk.line + index });
+        blank = true;
+      }
+      if (blank && part.trim()) {
+        lines[lines.length - 1] = { file: chunk.file, line: chunk.line + index };
+        blank = false;
+      }
+    });
+  }
+  return lines;
+}
+
+/** The expanded source as [{ text, file, line }] pieces, following markdown-it-include. */
+function collectIncludeChunks(text, filename, firstLine, visited) {
+  const includeRe = new RegExp(INCLUDE_RE.source, 'gi');
+  const chunks = [];
+  const push = (chunkText, line) => {
+    if (chunkText) {
+      chunks.push({ text: chunkText, file: filename, line });
+    }
+  };
+  let position = 0;
+  let line = firstLine;
+  let match;
+  while ((match = includeRe.exec(text))) {
+    const before = text.slice(position, match.index);
+    push(before, line);
+    line += before.split('\n').length - 1;
+    position = match.index + match[0].length;
+
+    const includePath = path.resolve(path.dirname(filename), match[1].slice(1, -1).trim());
+    if (!fs.existsSync(includePath) || visited.has(includePath)) {
+      // Stands in for the error heading markdown-it-include inserts.
+      push('\n\n\n\n', line);
+      continue;
+    }
+    const included = collectIncludeChunks(fs.readFileSync(includePath, 'utf-8'), includePath, 1, new Set([...visited, includePath]));
+    // markdown-it-include drops one trailing newline of the included text.
+    const last = included[included.length - 1];
+    if (last && last.text.endsWith('\n')) {
+      last.text = last.text.slice(0, -1);
+    }
+    chunks.push(...included);
+  }
+  push(text.slice(position), line);
+  return chunks;
+}
+
+function checkImageReference(src, filename) {
+  const localPath = resolveLocalReference(src, filename);
+  return localPath && !fs.existsSync(localPath) ? `Image not found: ${src}` : null;
+}
+
+function checkLinkReference(href, filename, ids) {
+  if (!href) {
+    return null;
+  }
+  if (href.startsWith('#')) {
+    const fragment = safeDecodeURIComponent(href.slice(1));
+    return fragment && !ids.has(fragment) ? `Link target ${href} does not match any heading or anchor` : null;
+  }
+  const localPath = resolveLocalReference(href, filename);
+  if (!localPath) {
+    return null;
+  }
+  if (!fs.existsSync(localPath)) {
+    return `Linked file not found: ${href}`;
+  }
+  const hashIndex = href.indexOf('#');
+  if (hashIndex >= 0 && MARKDOWN_LINK_RE.test(localPath)) {
+    const fragment = safeDecodeURIComponent(href.slice(hashIndex + 1));
+    const targetIds = collectDocumentIds(localPath);
+    if (fragment && !targetIds.has(fragment) && !targetIds.has(Slug(fragment))) {
+      return `Link target ${href} does not match any heading in ${path.basename(localPath)}`;
+    }
+  }
+  return null;
+}
+
+/** The file a relative or file: reference points to, or null for remote and data URLs. */
+function resolveLocalReference(reference, filename) {
+  if (!reference || reference.startsWith('#') || reference.startsWith('//')) {
+    return null;
+  }
+  const protocol = url.parse(reference).protocol;
+  if (protocol === 'file:') {
+    return fileURLToPath(reference.replace(/[?#].*$/, ''));
+  }
+  if (protocol && !/^[a-z]:$/i.test(protocol)) {
+    return null;
+  }
+  const referencePath = safeDecodeURIComponent(reference.replace(/[?#].*$/, ''));
+  return referencePath ? path.resolve(path.dirname(filename), referencePath) : null;
+}
+
+function collectTokenIds(tokens) {
+  const ids = new Set();
+  const visit = (list) => {
+    for (const token of list) {
+      if (token.attrGet && token.attrGet('id')) {
+        ids.add(token.attrGet('id'));
+      }
+      if (token.type === 'html_block' || token.type === 'html_inline') {
+        for (const match of token.content.matchAll(/\b(?:id|name)\s*=\s*["']([^"']+)["']/gi)) {
+          ids.add(match[1]);
+        }
+      }
+      if (token.children) {
+        visit(token.children);
+      }
+    }
+  };
+  visit(tokens);
+  return ids;
+}
+
+function collectDocumentIds(file) {
+  const md = markdownIt({ html: true });
+  applyHeadingIds(md, Slug);
+  return collectTokenIds(md.parse(grayMatter(fs.readFileSync(file, 'utf-8')).content, {}));
+}
+
+function findStyleProblems(inputPath, markdown, config) {
+  const lines = markdown.split('\n');
+  return collectStyleFiles(inputPath, config)
+    .filter((file) => !fs.existsSync(file))
+    .map((file) => {
+      const index = lines.findIndex((lineText) => lineText.includes(path.basename(file)));
+      return index >= 0
+        ? { file: inputPath, line: index + 1, message: `Stylesheet not found: ${file}` }
+        : { file: null, line: 0, message: `Stylesheet not found: ${file}` };
+    });
+}
+
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+function collectIncludedFiles(text, rootDir, seen) {
+  const files = seen || new Set();
+  const includeRe = new RegExp(INCLUDE_RE.source, 'gi');
+  let match;
+  while ((match = includeRe.exec(text))) {
+    const filePath = path.resolve(rootDir, match[1].slice(1, -1).trim());
+    if (files.has(filePath) || !fs.existsSync(filePath)) {
+      continue;
+    }
+    files.add(filePath);
+    collectIncludedFiles(fs.readFileSync(filePath, 'utf-8'), path.dirname(filePath), files);
+  }
+  return files;
+}
+
+function addLocalResource(dependencies, src, filename) {
+  const href = convertImgPath(src, filename);
+  if (typeof href === 'string' && href.startsWith('file:')) {
+    try {
+      dependencies.add(url.fileURLToPath(href.split('?')[0]));
+    } catch (_) {
+      // not a local path
+    }
+  }
+}
+
+function relocateRelativePath(src, filename, targetDir) {
+  const href = safeDecodeURIComponent(src).replace(/("|')/g, '');
+  if (!href || href.startsWith('#') || path.isAbsolute(href) || url.parse(href).protocol) {
+    return href;
+  }
+  return path.relative(targetDir, path.resolve(path.dirname(filename), href)).replace(/\\/g, '/');
+}
+
+/**
+ * Points links to local markdown files at the document generated from them, e.g.
+ * `setup.md#install` becomes `setup.pdf#install`, using resolveOutputPath for both ends.
+ * Files merged into the same output (`context.mergedDocument`) get an in-document
+ * anchor instead: a placeholder is recorded in `mergedDocument.links` and replaced by
+ * resolveMergedLinks once every file has been rendered. Returns null to keep `href`.
+ */
+function rewriteMarkdownLink(href, filename, type, config, context) {
+  if (url.parse(href).protocol || href.startsWith('//')) {
+    return null;
+  }
+  const hashIndex = href.indexOf('#');
+  const linkPath = hashIndex >= 0 ? href.slice(0, hashIndex) : href;
+  const fragment = hashIndex >= 0 ? safeDecodeURIComponent(href.slice(hashIndex + 1)) : '';
+  if (linkPath ? !MARKDOWN_LINK_RE.test(linkPath) || path.isAbsolute(linkPath) : !context?.mergedDocument) {
+    return null;
+  }
+
+  const target = linkPath ? path.resolve(path.dirname(filename), safeDecodeURIComponent(linkPath)) : filename;
+  const merged = context?.mergedDocument;
+  if (merged && merged.files.has(target)) {
+    merged.links.push({ file: target, fragment });
+    return `#${MERGED_LINK_PREFIX}${merged.links.length - 1}`;
+  }
+
+  const anchor = fragment ? `#${Slug(fragment)}` : '';
+  if (target === filename) {
+    return anchor || '#';
+  }
+
+  const outputDir = context?.outputDir;
+  const currentOutput = context?.outputPath
+    || resolveOutputPath(filename, type, outputDir, config, context?.relativeDir);
+  let targetRelativeDir;
+  if (context?.linkTargets?.has(target)) {
+    targetRelativeDir = context.linkTargets.get(target);
+  } else if (typeof context?.relativeDir === 'string') {
+    // Mirror the target as if it had been collected from the same input directory.
+    const root = path.resolve(path.dirname(filename), path.relative(context.relativeDir, '.'));
+    targetRelativeDir = path.relative(root, path.dirname(target));
+  }
+  const targetOutput = resolveOutputPath(target, type, outputDir, config, targetRelativeDir);
+  return encodeURI(path.relative(path.dirname(currentOutput), targetOutput).replace(/\\/g, '/')) + anchor;
+}
+
+function resolveMergedLinks(html, mergedDocument) {
+  const pattern = new RegExp(`#${MERGED_LINK_PREFIX}(\\d+)`, 'g');
+  return html.replace(pattern, (match, index) => {
+    const link = mergedDocument.links[Number(index)];
+    const file = mergedDocument.files.get(link.file);
+    if (!link.fragment) {
+      return `#${file.id}`;
+    }
+    const slug = Slug(link.fragment);
+    return `#${file.slugs[slug] || slug}`;
+  });
+}
+
 function convertImgPath(src, filename) {
-  let href = decodeURIComponent(src);
+  let href = safeDecodeURIComponent(src);
   href = href.replace(/("|')/g, '').replace(/\\/g, '/').replace(/#/g, '%23');
 
   const parsed = url.parse(href);
@@ -875,17 +5256,24 @@ function fixHref(resourcePath, href, config) {
   return pathToFileURL(path.resolve(baseDir, href)).toString();
 }
 
-function resolveOutputPath(inputPath, type, outputDirOverride, config) {
+function resolveOutputPath(inputPath, type, outputDirOverride, config, relativeDir) {
   const markdownPdfConfig = config?.markdownPdf || {};
   let outputDir = outputDirOverride || markdownPdfConfig.outputDirectory || '';
 
   if (!outputDir) {
     outputDir = path.dirname(inputPath);
-  } else if (outputDir.startsWith('~')) {
-    outputDir = path.join(os.homedir(), outputDir.slice(1));
-  } else if (!path.isAbsolute(outputDir)) {
-    const useFileDir = markdownPdfConfig.outputDirectoryRelativePathFile !== false;
-    outputDir = path.resolve(useFileDir ? path.dirname(inputPath) : process.cwd(), outputDir);
+  } else {
+    let fileRelative = false;
+    if (outputDir.startsWith('~')) {
+      outputDir = path.join(os.homedir(), outputDir.slice(1));
+    } else if (!path.isAbsolute(outputDir)) {
+      fileRelative = markdownPdfConfig.outputDirectoryRelativePathFile !== false;
+      outputDir = path.resolve(fileRelative ? path.dirname(inputPath) : process.cwd(), outputDir);
+    }
+    // Mirror the source tree of batch inputs below a shared output directory.
+    if (!fileRelative && relativeDir && !relativeDir.startsWith('..')) {
+      outputDir = path.join(outputDir, relativeDir);
+    }
   }
 
   const baseName = path.basename(inputPath, path.extname(inputPath));
@@ -898,7 +5286,7 @@ function buildPdfOptions(targetPath, cfg) {
   const hasCustomHeight = cfg?.height && cfg.height !== '';
 
   return {
-    path: targetPath,
+    path: targetPath || undefined,
     scale: toNumber(cfg?.scale, 1),
     displayHeaderFooter: Boolean(cfg?.displayHeaderFooter),
     headerTemplate: cfg?.headerTemplate || '',
@@ -915,7 +5303,7 @@ function buildPdfOptions(targetPath, cfg) {
       bottom: normalizeDimension(margin.bottom),
       left: normalizeDimension(margin.left)
     },
-    timeout: 0
+    timeout: toNumber(cfg?.render?.timeout, DEFAULT_RENDER_TIMEOUT)
   };
 }
 
@@ -929,7 +5317,8 @@ function buildScreenshotOptions(targetPath, type, cfg) {
   const hasClip = clipValues.every((value) => value !== null && value !== undefined);
 
   const options = {
-    path: targetPath,
+    path: targetPath || undefined,
+    type,
     quality: type === 'jpeg' ? toNumber(cfg?.quality, 100) : undefined,
     fullPage: !hasClip,
     omitBackground: Boolean(cfg?.omitBackground)
@@ -1021,3 +5410,15 @@ function Slug(string) {
       .replace(/-+$/, '')
   );
 }
+
+module.exports = {
+  convert,
+  convertBook,
+  renderHtml,
+  loadConfig,
+  resolveTypes,
+  createBrowserSession,
+  createRenderServer,
+  main,
+  SUPPORTED_TYPES
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('node:test');
+const { makeTempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'markdown-pdf-m.js');
+
+function makeProject() {
+  return makeTempDir({
+    'doc.md': '# Doc\n\n:[part](part.md)\n',
+    'part.md': 'Included text.\n',
+    'style.css': 'body { color: black; }\n',
+    'config.json': JSON.stringify({ markdownPdf: { styles: ['style.css'] } })
+  });
+}
+
+/** Runs the CLI to HTML in `dir` and returns its status output. */
+function build(dir, args, input) {
+  const result = spawnSync(process.execPath, [CLI, ...args, '-t', 'html', '-o', path.join(dir, 'out'), '--config', path.join(dir, 'config.json')], {
+    cwd: dir,
+    input,
+    encoding: 'utf-8',
+    timeout: 60000
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result.stdout + result.stderr;
+}
+
+test('rebuilds a document only when one of its inputs changes', () => {
+  const dir = makeProject();
+  const doc = path.join(dir, 'doc.md');
+  assert.match(build(dir, [doc]), /Converting doc\.md => html \(not built before\)/);
+  assert.match(build(dir, [doc]), /Up to date: doc\.md => html/);
+
+  fs.appendFileSync(path.join(dir, 'part.md'), 'More.\n');
+  assert.match(build(dir, [doc]), /Converting doc\.md => html \(.*part\.md changed\)/);
+
+  fs.appendFileSync(path.join(dir, 'style.css'), 'h1 { color: red; }\n');
+  assert.match(build(dir, [doc]), /Converting doc\.md => html \(.*style\.css changed\)/);
+
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ markdownPdf: { styles: ['style.css'], breaks: true } }));
+  assert.match(build(dir, [doc]), /configuration changed/);
+
+  assert.match(build(dir, [doc, '--force']), /Converting doc\.md => html \(--force\)/);
+  fs.rmSync(path.join(dir, 'out', 'doc.html'));
+  assert.match(build(dir, [doc]), /output missing/);
+});
+
+test('fingerprints stdin with its text, stylesheets and template', () => {
+  const dir = makeProject();
+  const args = ['-', '--base-dir', dir];
+  assert.match(build(dir, args, '# From stdin\n'), /Converting stdin\.md => html/);
+  assert.match(build(dir, args, '# From stdin\n'), /Up to date: stdin\.md => html/);
+
+  assert.match(build(dir, args, '# Changed\n'), /stdin\.md changed/);
+  fs.appendFileSync(path.join(dir, 'style.css'), 'h1 { color: red; }\n');
+  assert.match(build(dir, args, '# Changed\n'), /style\.css changed/);
+  assert.match(build(dir, args, '# Changed\n'), /Up to date: stdin\.md => html/);
+});
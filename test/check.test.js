@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('node:test');
+const { makeTempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'markdown-pdf-m.js');
+
+function check(dir, file) {
+  const result = spawnSync(process.execPath, [CLI, file, '--check'], { cwd: dir, encoding: 'utf-8', timeout: 60000 });
+  return { status: result.status, problems: result.stderr.split('\n').filter((line) => /: /.test(line) && !/Checked/.test(line)) };
+}
+
+test('--check reports problems at their line, through front matter and includes', () => {
+  const dir = makeTempDir({
+    'doc.md': [
+      '---',
+      'title: Doc',
+      '---',
+      '# Doc',
+      '',
+      ':[part](parts/part.md)',
+      '',
+      '![missing](nope.png)',
+      'See [nowhere](#nowhere).'
+    ].join('\n'),
+    'parts/part.md': [
+      'Part text',
+      '',
+      '![gone](gone.png)'
+    ].join('\n')
+  });
+  const { status, problems } = check(dir, 'doc.md');
+  assert.strictEqual(status, 1);
+  assert.deepStrictEqual(problems.map((line) => line.replace(/^\[markdown-pdf-m-cli\] /, '').replace(/: .*$/, '')).sort(), [
+    'doc.md:8',
+    'doc.md:9',
+    `${path.join('parts', 'part.md')}:3`
+  ]);
+});
+
+test('--check reports a missing include inside an included file at its line', () => {
+  const dir = makeTempDir({
+    'doc.md': '# Doc\n\n:[part](part.md)\n',
+    'part.md': 'One\n\nTwo\n:[gone](gone.md)\n'
+  });
+  const { status, problems } = check(dir, 'doc.md');
+  assert.strictEqual(status, 1);
+  assert.strictEqual(problems.length, 1);
+  assert.match(problems[0], /part\.md:4: Included file not found: gone\.md/);
+});
+
+test('--check passes a document whose includes resolve', () => {
+  const dir = makeTempDir({
+    'doc.md': '# Doc\n\n:[part](part.md)\n\n[Doc](#doc)\n',
+    'part.md': '## Part\n'
+  });
+  assert.deepStrictEqual(check(dir, 'doc.md'), { status: 0, problems: [] });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('node:test');
+const { convert, createBrowserSession, loadConfig } = require('..');
+const { makeTempDir, createFakeBrowser } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'markdown-pdf-m.js');
+
+function run(cwd, args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf-8', timeout: 60000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/** The `--print-config` lines as key => "value  (source)". */
+function printedSettings(stdout) {
+  return Object.fromEntries(stdout.split('\n').filter(Boolean).map((line) => {
+    const index = line.indexOf(' = ');
+    return [line.slice(0, index), line.slice(index + 3)];
+  }));
+}
+
+test('the config file is found up the tree and layered between defaults and the command line', () => {
+  const dir = makeTempDir({
+    'markdown-pdf.config.json': JSON.stringify({ markdownPdf: { format: 'Letter', scale: 0.8, orientaton: 'landscape' } }),
+    'docs/guide/.keep': ''
+  });
+  const { status, stdout, stderr } = run(path.join(dir, 'docs', 'guide'), ['--print-config', '--set', 'markdownPdf.scale=0.9']);
+  assert.strictEqual(status, 0, stderr);
+  const source = path.join('..', '..', 'markdown-pdf.config.json');
+  const settings = printedSettings(stdout);
+  assert.strictEqual(settings['markdownPdf.format'], `"Letter"  (${source})`);
+  assert.strictEqual(settings['markdownPdf.scale'], '0.9  (command line)');
+  assert.strictEqual(settings['markdownPdf.orientation'], '"portrait"  (defaults)');
+  assert.match(stderr, /Unknown configuration key "markdownPdf\.orientaton" .*\(did you mean "orientation"\?\)/);
+});
+
+test('invalid settings stop the run and name every invalid key', () => {
+  const dir = makeTempDir({
+    'markdown-pdf.config.json': JSON.stringify({ markdownPdf: { format: 'A44', scale: 'big' } })
+  });
+  const { status, stderr } = run(dir, ['--print-config']);
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /Invalid configuration in markdown-pdf\.config\.json:/);
+  assert.match(stderr, /markdownPdf\.format must be one of .* \(got "A44"\)/);
+  assert.match(stderr, /markdownPdf\.scale must be a number \(got "big"\)/);
+
+  const fromSet = run(makeTempDir({}), ['--print-config', '--set', 'markdownPdf.orientation=sideways']);
+  assert.strictEqual(fromSet.status, 1);
+  assert.match(fromSet.stderr, /Invalid configuration in --set:\n {2}- markdownPdf\.orientation must be one of/);
+});
+
+test('relative paths in a config file resolve against that file', () => {
+  const dir = makeTempDir({
+    'config/settings.json': JSON.stringify({
+      markdownPdf: { styles: ['print.css', 'https://example.com/a.css'], outputDirectory: '../dist', template: 'tpl', buildCache: { file: 'cache.json' } }
+    })
+  });
+  const { markdownPdf } = loadConfig(path.join(dir, 'config', 'settings.json'));
+  assert.deepStrictEqual(markdownPdf.styles, [path.join(dir, 'config', 'print.css'), 'https://example.com/a.css']);
+  assert.strictEqual(markdownPdf.outputDirectory, path.join(dir, 'dist'));
+  assert.strictEqual(markdownPdf.template, path.join(dir, 'config', 'tpl'));
+  assert.strictEqual(markdownPdf.buildCache.file, path.join(dir, 'config', 'cache.json'));
+});
+
+test('front matter overrides the config file and is validated too', async () => {
+  const dir = makeTempDir({ 'markdown-pdf.config.json': JSON.stringify({ markdownPdf: { format: 'Letter', scale: 0.8 } }) });
+  const printed = [];
+  const browser = createFakeBrowser({
+    pdf: (page, options) => {
+      printed.push(options);
+      return Buffer.from('%PDF-fake');
+    }
+  });
+  const session = createBrowserSession({}, { browser });
+  const config = path.join(dir, 'markdown-pdf.config.json');
+  await convert({ markdown: '---\nformat: A5\n---\n# Doc\n', baseDir: dir, type: 'pdf', config, session });
+  assert.strictEqual(printed[0].format, 'A5');
+  assert.strictEqual(printed[0].scale, 0.8);
+
+  await assert.rejects(
+    convert({ markdown: '---\nformat: A44\n---\n# Doc\n', baseDir: dir, type: 'pdf', config, session }),
+    /format must be one of/
+  );
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+const created = [];
+after(() => created.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/** Creates a temp directory holding `files` (relative path => content), removed after the tests. */
+function makeTempDir(files) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-pdf-m-test-')));
+  created.push(dir);
+  for (const [name, content] of Object.entries(files || {})) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+/**
+ * A stand-in for a Puppeteer browser: enough of Browser and Page for the render
+ * pipeline. `behavior.setContent(page)` may return a promise to delay loading; closing
+ * the page rejects whatever is pending, as with a real page. `behavior.evaluate(fn, args)`
+ * and `behavior.pdf(page, options)` stand in for script evaluation and printing.
+ */
+function createFakeBrowser(behavior) {
+  const pages = [];
+  const browser = {
+    pages,
+    async version() {
+      return 'FakeChrome/1.0';
+    },
+    once() {},
+    async newPage() {
+      const handlers = [];
+      const pending = new Set();
+      const track = (promise) => new Promise((resolve, reject) => {
+        const entry = { reject };
+        pending.add(entry);
+        promise.then(resolve, reject).finally(() => pending.delete(entry));
+      });
+      const page = {
+        closed: false,
+        html: null,
+        requests: [],
+        async setDefaultTimeout() {},
+        async setRequestInterception() {},
+        on(event, handler) {
+          if (event === 'request') {
+            handlers.push(handler);
+          }
+        },
+        async goto() {},
+        setContent(html) {
+          page.html = html;
+          return track(Promise.resolve(behavior?.setContent ? behavior.setContent(page) : undefined));
+        },
+        /** Simulates the page requesting `url`; resolves to 'abort' or 'continue'. */
+        request(url) {
+          return new Promise((resolve) => {
+            if (handlers.length === 0) {
+              resolve('continue');
+              return;
+            }
+            handlers.forEach((handler) => handler({
+              url: () => url,
+              abort: async () => resolve('abort'),
+              continue: async () => resolve('continue')
+            }));
+          });
+        },
+        async evaluate(fn, ...args) {
+          return behavior?.evaluate ? behavior.evaluate(fn, args, page) : [];
+        },
+        async emulateMediaType() {},
+        async setViewport() {},
+        async pdf(options) {
+          return behavior?.pdf ? behavior.pdf(page, options) : Buffer.from('%PDF-fake');
+        },
+        async screenshot() {
+          return Buffer.from('PNG-fake');
+        },
+        async close() {
+          page.closed = true;
+          pending.forEach((entry) => entry.reject(new Error('Target closed')));
+        }
+      };
+      pages.push(page);
+      return page;
+    }
+  };
+  return browser;
+}
+
+module.exports = { makeTempDir, createFakeBrowser };
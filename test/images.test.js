@@ -0,0 +1,31 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { convertBook, renderHtml } = require('..');
+const { makeTempDir } = require('./helpers');
+
+const MARKDOWN = '![plain](img%20one.png) ![broken](img%C3%28.png)\n\n<img src="raw%C3%28.png">\n';
+
+test('image paths with percent-escapes that are not UTF-8 are kept for HTML output', () => {
+  const dir = makeTempDir({});
+  const html = renderHtml(MARKDOWN, { baseDir: dir, fragment: true });
+  assert.match(html, /src="img one\.png"/);
+  assert.match(html, /src="img%C3%28\.png"/);
+});
+
+test('image paths with percent-escapes that are not UTF-8 resolve for browser output', () => {
+  const dir = makeTempDir({});
+  const html = renderHtml(MARKDOWN, { baseDir: dir, type: 'pdf', fragment: true });
+  assert.ok(html.includes(`${dir.replace(/\\/g, '/')}/img%C3%28.png`), html);
+});
+
+test('book chapters relocate image paths with percent-escapes that are not UTF-8', async () => {
+  const dir = makeTempDir({
+    'book.json': JSON.stringify({ title: 'Book', chapters: ['chapters/one.md'] }),
+    'chapters/one.md': '# One\n\n![broken](img%C3%28.png)\n'
+  });
+  const [output] = await convertBook({ manifest: path.join(dir, 'book.json'), type: 'html', output: path.join(dir, 'out') });
+  assert.match(output.buffer.toString('utf-8'), /src="\.\.\/chapters\/img%C3%28\.png"/);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { convertBook, renderHtml } = require('..');
+const { makeTempDir } = require('./helpers');
+
+const hrefs = (html) => Array.from(html.matchAll(/<a href="([^"]*)"/g), (match) => match[1]);
+
+test('links to markdown files point at their generated outputs', () => {
+  const dir = makeTempDir({});
+  const markdown = '[a](./setup.md#install) [b](<sub/other.md#Some Heading>) [c](https://example.com/a.md) [d](notes.txt) [e](#local)';
+  assert.deepStrictEqual(hrefs(renderHtml(markdown, { baseDir: dir, fragment: true })), [
+    'setup.html#install',
+    'sub/other.html#some-heading',
+    'https://example.com/a.md',
+    'notes.txt',
+    '#local'
+  ]);
+  assert.deepStrictEqual(hrefs(renderHtml(markdown, { baseDir: dir, type: 'pdf', fragment: true })).slice(0, 2), [
+    'setup.pdf#install',
+    'sub/other.pdf#some-heading'
+  ]);
+});
+
+test('links with percent-escapes that do not decode are kept as written', () => {
+  const dir = makeTempDir({});
+  const html = renderHtml('[a](file%C3%28.md) [b](#100%) [c](setup.md#%C3%28) [d](a%20b.md)', { baseDir: dir, fragment: true });
+  assert.deepStrictEqual(hrefs(html), ['file%25C3%2528.html', '#100%25', 'setup.html#c328', 'a%20b.html']);
+});
+
+test('rewriteMarkdownLinks false keeps links as written', () => {
+  const dir = makeTempDir({});
+  const html = renderHtml('[a](./setup.md#install)', { baseDir: dir, fragment: true, config: { markdownPdf: { rewriteMarkdownLinks: false } } });
+  assert.deepStrictEqual(hrefs(html), ['./setup.md#install']);
+});
+
+test('links between book chapters become anchors in the merged document', async () => {
+  const dir = makeTempDir({
+    'book.json': JSON.stringify({ title: 'Book', chapters: ['one.md', 'two.md'] }),
+    'one.md': '# One\n\n[two](two.md) [setup](two.md#Setup) [broken](two.md#%C3%28)\n',
+    'two.md': '# Two\n\n## Setup\n'
+  });
+  const [output] = await convertBook({ manifest: path.join(dir, 'book.json'), type: 'html' });
+  const html = output.buffer.toString('utf-8');
+  const chapterOne = html.slice(html.indexOf('id="chapter-1"'), html.indexOf('id="chapter-2"'));
+  assert.deepStrictEqual(hrefs(chapterOne), ['#chapter-2', '#setup', '#c328']);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { convert, createBrowserSession } = require('..');
+const { createFakeBrowser } = require('./helpers');
+
+/** Builds a PDF of `pageCount` pages with named destinations (name => [page index, y]). */
+async function buildPdf(pageCount, destinations) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = Array.from({ length: pageCount }, () => pdfDoc.addPage([600, 800]));
+  const dests = {};
+  for (const [name, [index, y]] of Object.entries(destinations)) {
+    dests[name] = [pages[index].ref, 'XYZ', 0, y, 0];
+  }
+  if (Object.keys(dests).length > 0) {
+    pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.obj(dests));
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+async function readOutline(data) {
+  const pdfDoc = await PDFDocument.load(data);
+  const pageIndex = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+  const entries = [];
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  let entry = outlines && outlines.lookup(PDFName.of('First'));
+  while (entry) {
+    const dest = entry.lookup(PDFName.of('Dest'));
+    entries.push({
+      title: entry.lookup(PDFName.of('Title')).decodeText(),
+      page: pageIndex.get(dest.get(0).toString()) + 1,
+      y: dest.lookup(3).asNumber()
+    });
+    entry = entry.lookup(PDFName.of('Next'));
+  }
+  return entries;
+}
+
+async function render(behavior) {
+  const browser = createFakeBrowser(behavior);
+  const session = createBrowserSession({}, { browser });
+  const [output] = await convert({
+    markdown: '# Intro\n\n# Ünïcode',
+    type: 'pdf',
+    config: { markdownPdf: { outline: true } },
+    session
+  });
+  return { output, browser };
+}
+
+const headings = [
+  { id: 'intro', level: 1, text: 'Intro' },
+  { id: 'ünïcode', level: 1, text: 'Ünïcode' }
+];
+
+test('places bookmarks at the named destinations of the printed PDF', async () => {
+  const linked = [];
+  const pdf = await buildPdf(3, { intro: [1, 700], '%C3%BCn%C3%AFcode': [2, 500] });
+  const { output } = await render({
+    evaluate: (fn, args) => {
+      if (String(fn).includes('h1[id]')) {
+        return headings;
+      }
+      if (String(fn).includes('data-markdown-pdf-destinations')) {
+        linked.push(...args[0]);
+      }
+      return [];
+    },
+    pdf: () => pdf
+  });
+
+  assert.deepStrictEqual(linked, ['intro', 'ünïcode']);
+  assert.deepStrictEqual(await readOutline(output.buffer), [
+    { title: 'Intro', page: 2, y: 700 },
+    { title: 'Ünïcode', page: 3, y: 500 }
+  ]);
+});
+
+test('falls back to the layout estimate when the PDF has no destinations', async () => {
+  const pdf = await buildPdf(2, {});
+  const { output } = await render({
+    evaluate: (fn) => {
+      const source = String(fn);
+      if (source.includes('h1[id]')) {
+        return headings;
+      }
+      if (source.includes('pageHeight')) {
+        return { intro: { page: 1, offset: 0 }, 'ünïcode': { page: 2, offset: 0 } };
+      }
+      return [];
+    },
+    pdf: () => pdf
+  });
+
+  assert.deepStrictEqual((await readOutline(output.buffer)).map((entry) => entry.page), [1, 2]);
+});
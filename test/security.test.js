@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { test } = require('node:test');
+const { convert, createBrowserSession, renderHtml } = require('..');
+const { makeTempDir, createFakeBrowser } = require('./helpers');
+
+/** Renders a document to PDF while the page requests `urls`; returns each outcome. */
+async function requestWhileRendering(t, security, urls) {
+  const dir = makeTempDir({ 'doc.md': '# Doc\n', 'images/a.png': 'png' });
+  const outcomes = {};
+  const browser = createFakeBrowser({
+    setContent: async (page) => {
+      for (const url of urls(dir)) {
+        outcomes[url] = await page.request(url);
+      }
+    }
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+  await convert({
+    input: path.join(dir, 'doc.md'),
+    type: 'pdf',
+    config: { markdownPdf: { security } },
+    session: createBrowserSession({}, { browser })
+  });
+  return { outcomes, warnings: warn.mock.calls.map((call) => call.arguments[0]) };
+}
+
+test('the allowlist network policy only lets the allowed hosts load', async (t) => {
+  const { outcomes, warnings } = await requestWhileRendering(t, {
+    network: 'allowlist',
+    allowedHosts: ['cdn.example.com', '*.example.org']
+  }, () => ['https://cdn.example.com/a.css', 'https://img.example.org/b.png', 'https://tracker.example.net/pixel.gif', 'data:image/png;base64,AA==']);
+  assert.deepStrictEqual(outcomes, {
+    'https://cdn.example.com/a.css': 'continue',
+    'https://img.example.org/b.png': 'continue',
+    'https://tracker.example.net/pixel.gif': 'abort',
+    'data:image/png;base64,AA==': 'continue'
+  });
+  assert.match(warnings.join('\n'), /Blocked 1 request\(s\) while rendering doc\.md[\s\S]*tracker\.example\.net\/pixel\.gif \(host tracker\.example\.net is not allowed\)/);
+});
+
+test('the offline network policy blocks every remote request', async (t) => {
+  const { outcomes } = await requestWhileRendering(t, { network: 'offline' }, () => ['https://cdn.example.com/a.css', 'data:text/plain,x']);
+  assert.deepStrictEqual(outcomes, { 'https://cdn.example.com/a.css': 'abort', 'data:text/plain,x': 'continue' });
+});
+
+test('confined file access stays inside the document directory and the package', async (t) => {
+  const packageStyle = pathToFileURL(path.join(__dirname, '..', 'styles', 'markdown.css')).href;
+  const { outcomes, warnings } = await requestWhileRendering(t, { confineFiles: true }, (dir) => [
+    pathToFileURL(path.join(dir, 'images', 'a.png')).href,
+    packageStyle,
+    'file:///etc/passwd',
+    'https://cdn.example.com/a.css'
+  ]);
+  assert.deepStrictEqual(Object.values(outcomes), ['continue', 'continue', 'abort', 'continue']);
+  assert.match(warnings.join('\n'), /file:\/\/\/etc\/passwd \(outside the document directory\)/);
+});
+
+test('rawHtml sanitize strips active content and keeps formatting', () => {
+  const html = renderHtml([
+    '<div class="note" onclick="steal()">Kept <script>alert(1)</script></div>',
+    '',
+    '<iframe src="file:///etc/passwd"></iframe>',
+    '',
+    '<a href="javascript:alert(1)">js</a> <a href="jav&#x61;script:x">entity</a> <a href="https://example.com">ok</a>',
+    '',
+    '<svg><script>alert(2)</script></svg><form action="/x"><input></form>',
+    '',
+    '<details><summary>More</summary><img src="a.png" onerror="x()"></details>'
+  ].join('\n'), { config: { markdownPdf: { security: { rawHtml: 'sanitize' } } }, fragment: true });
+
+  assert.doesNotMatch(html, /script|onclick|onerror|iframe|svg|form|input|javascript/i);
+  assert.match(html, /<div class="note">Kept/);
+  assert.match(html, /<a href="https:\/\/example\.com">ok<\/a>/);
+  assert.match(html, /<details><summary>More<\/summary><img src="a\.png"><\/details>/);
+});
+
+test('rawHtml escape shows the HTML as text', () => {
+  const html = renderHtml('<b>bold</b>', { config: { markdownPdf: { security: { rawHtml: 'escape' } } }, fragment: true });
+  assert.match(html, /&lt;b&gt;bold&lt;\/b&gt;/);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { createBrowserSession, createRenderServer } = require('..');
+const { makeTempDir, createFakeBrowser } = require('./helpers');
+
+async function startServer(t, options) {
+  const browser = createFakeBrowser(options.behavior);
+  const serverConfig = { concurrency: 1, ...options.server };
+  const session = createBrowserSession({ markdownPdf: { concurrency: serverConfig.concurrency } }, { browser });
+  const config = { markdownPdf: { server: serverConfig, ...options.markdownPdf } };
+  const { server } = createRenderServer({ config, allowDirs: options.allowDirs, session });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const render = async (body, query) => {
+    const json = typeof body !== 'string';
+    const response = await fetch(`${base}/render${query ? `?${query}` : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': json ? 'application/json' : 'text/markdown' },
+      body: json ? JSON.stringify(body) : body
+    });
+    return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()).toString('utf-8') };
+  };
+  return { base, browser, render };
+}
+
+const base64 = (text) => Buffer.from(text).toString('base64');
+
+test('renders posted markdown and reports health', async (t) => {
+  const { base, render } = await startServer(t, {});
+  const health = await (await fetch(`${base}/health`)).json();
+  assert.strictEqual(health.status, 'ok');
+  assert.strictEqual(health.browser, 'FakeChrome/1.0');
+
+  const pdf = await render('# Hello');
+  assert.strictEqual(pdf.status, 200);
+  assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+  assert.strictEqual(pdf.body, '%PDF-fake');
+
+  const html = await render('# Hello', 'type=html');
+  assert.strictEqual(html.status, 200);
+  assert.match(html.body, /<h1 id="hello">Hello<\/h1>/);
+});
+
+test('the browser may only read the request directory and is offline by default', async (t) => {
+  const outcomes = {};
+  const { render } = await startServer(t, {
+    behavior: {
+      async setContent(page) {
+        outcomes.passwd = await page.request('file:///etc/passwd');
+        outcomes.packageStyle = await page.request(`file://${path.join(__dirname, '..', 'styles', 'markdown.css')}`);
+        outcomes.remote = await page.request('https://example.com/tracker.png');
+      }
+    }
+  });
+  const response = await render('<iframe src="file:///etc/passwd"></iframe>\n\n# Doc');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(outcomes, { passwd: 'abort', packageStyle: 'continue', remote: 'abort' });
+  assert.strictEqual(response.headers.get('x-blocked-requests'), '2');
+});
+
+test('includes, base directories and settings outside what the server allows are refused', async (t) => {
+  const allowed = makeTempDir({ 'docs/part.md': 'Included text\n' });
+  const outside = makeTempDir({ 'secret.md': 'Secret\n' });
+  const { render } = await startServer(t, { allowDirs: [allowed] });
+
+  const included = await render({ markdown: ':[part](part.md)\n', baseDir: 'docs', type: 'html' });
+  assert.strictEqual(included.status, 200);
+  assert.match(included.body, /Included text/);
+
+  const escaped = await render({ markdown: `:[secret](${path.join(outside, 'secret.md')})\n`, baseDir: 'docs', type: 'html' });
+  assert.strictEqual(escaped.status, 403);
+  assert.doesNotMatch(escaped.body, /Secret/);
+
+  const foreignBase = await render({ markdown: '# x', baseDir: outside });
+  assert.strictEqual(foreignBase.status, 403);
+
+  const locked = await render({ markdown: '# x', config: { markdownPdf: { hooks: 'evil.js' } } });
+  assert.strictEqual(locked.status, 403);
+});
+
+test('a template partial escaping the template directory is refused', async (t) => {
+  const { render } = await startServer(t, {});
+  const response = await render({
+    markdown: '---\ntemplate: tpl.html\n---\n# Doc\n',
+    type: 'html',
+    assets: { 'tpl.html': base64('{{> ../../../../../../../../etc/hostname}}{{{content}}}') }
+  });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body, /outside the template directory/);
+});
+
+test('a timed-out render gives up its page so later requests are served', async (t) => {
+  let hang = true;
+  const { browser, render } = await startServer(t, {
+    server: { timeout: 200, concurrency: 1 },
+    behavior: {
+      setContent: () => (hang ? new Promise(() => {}) : undefined)
+    }
+  });
+  const started = Date.now();
+  const [first, queued] = await Promise.all([render('# Slow'), render('# Queued')]);
+  assert.strictEqual(first.status, 504);
+  assert.strictEqual(queued.status, 504);
+  assert.ok(Date.now() - started < 2000);
+  assert.ok(browser.pages.every((page) => page.closed));
+
+  hang = false;
+  const next = await render('# Fast');
+  assert.strictEqual(next.status, 200);
+});
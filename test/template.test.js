@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { renderHtml } = require('..');
+const { makeTempDir } = require('./helpers');
+
+test('template partials load from the template directory and partials/', () => {
+  const dir = makeTempDir({
+    'tpl/page.html': '<main>{{> header}}{{{content}}}{{> footer}}</main>',
+    'tpl/header.html': '<header>Head</header>',
+    'tpl/partials/footer.mustache': '<footer>Foot</footer>'
+  });
+  const html = renderHtml('---\ntemplate: tpl/page.html\n---\n# Title\n', { baseDir: dir });
+  assert.match(html, /<header>Head<\/header>/);
+  assert.match(html, /<footer>Foot<\/footer>/);
+});
+
+test('template partials may not leave the template directory', () => {
+  const dir = makeTempDir({
+    'secret.txt': 'top secret',
+    'tpl/page.html': '{{> ../secret.txt}}{{{content}}}'
+  });
+  assert.throws(
+    () => renderHtml('---\ntemplate: tpl/page.html\n---\n# Title\n', { baseDir: dir }),
+    /outside the template directory/
+  );
+});
+
+test('absolute partial paths are refused', () => {
+  const dir = makeTempDir({ 'tpl/page.html': `{{> ${path.join(os.tmpdir(), 'x')}}}{{{content}}}` });
+  assert.throws(
+    () => renderHtml('---\ntemplate: tpl/page.html\n---\n# Title\n', { baseDir: dir }),
+    /outside the template directory/
+  );
+});
+
+test('a symlinked partial pointing out of the template directory is refused', () => {
+  const dir = makeTempDir({ 'secret.txt': 'top secret', 'tpl/page.html': '{{> leak}}{{{content}}}' });
+  fs.symlinkSync(path.join(dir, 'secret.txt'), path.join(dir, 'tpl', 'leak.html'));
+  assert.throws(
+    () => renderHtml('---\ntemplate: tpl/page.html\n---\n# Title\n', { baseDir: dir }),
+    /resolves outside the template directory/
+  );
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { convert, createBrowserSession } = require('..');
+const { createFakeBrowser } = require('./helpers');
+
+/** Builds a PDF with `pageCount` pages whose named destinations (name => page index) are given. */
+async function buildPdf(pageCount, destinations) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = Array.from({ length: pageCount }, () => pdfDoc.addPage([600, 800]));
+  const dests = {};
+  for (const [name, index] of Object.entries(destinations)) {
+    dests[name] = [pages[index].ref, 'XYZ', 0, 800, 0];
+  }
+  if (Object.keys(dests).length > 0) {
+    pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.obj(dests));
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Prints a document whose TOC links to `intro` and `usage`. `layout(fills)` returns the
+ * destinations for a print, given the page numbers written into the TOC so far.
+ */
+async function printToc(layout) {
+  const fills = [];
+  let prints = 0;
+  const browser = createFakeBrowser({
+    evaluate: (fn, args) => {
+      const source = String(fn);
+      if (source.includes('textContent')) {
+        fills.push(args[0]);
+      } else if (source.includes('data-toc-target')) {
+        return ['intro', 'usage'];
+      }
+      return [];
+    },
+    pdf: () => {
+      prints += 1;
+      return buildPdf(4, layout(fills));
+    }
+  });
+  await convert({
+    markdown: '# Intro\n\n# Usage',
+    type: 'pdf',
+    session: createBrowserSession({}, { browser })
+  });
+  return { fills, prints };
+}
+
+test('fills TOC page numbers from the PDF destinations and prints until they settle', async () => {
+  // Writing the numbers pushes "usage" onto the next page once.
+  const { fills, prints } = await printToc((fills) => ({ intro: 0, usage: fills.length === 0 ? 1 : 2 }));
+  assert.deepStrictEqual(fills, [['1', '2'], ['1', '3']]);
+  assert.strictEqual(prints, 3);
+});
+
+test('leaves the numbers out when they do not settle', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { fills } = await printToc((fills) => ({ intro: 0, usage: 1 + (fills.length % 2) }));
+  assert.deepStrictEqual(fills[fills.length - 1], ['', '']);
+  assert.match(warn.mock.calls[0].arguments[0], /did not settle/);
+});
+
+test('leaves the numbers out when the PDF has no destinations', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { fills, prints } = await printToc(() => ({}));
+  assert.deepStrictEqual(fills, []);
+  assert.strictEqual(prints, 1);
+  assert.match(warn.mock.calls[0].arguments[0], /no link destinations/);
+});